@@ -6,8 +6,11 @@
   - User enters an OSM relation ID and subtype tag key.
   - We query Overpass API, convert response to GeoJSON (osmtogeojson),
     then create a Leaflet map + layer and run the quiz.
-  - Game iterates buildings in random order; player clicks the correct polygon.
+  - Game iterates buildings in random order; player clicks the correct polygon
+    (or, in reverse mode, types the name of the highlighted polygon).
   - Scoring rewards fewer misses; colors persist as a learning heatmap.
+  - Results also feed a per-map spaced-repetition profile (localStorage) that
+    the optional "Review" prompt order uses to put weak features first.
 */
 
 (function () {
@@ -17,71 +20,175 @@
   const configForm = document.getElementById('config-form');
   const configError = document.getElementById('config-error');
   const startBtn = document.getElementById('startBtn');
+  const loadProgressEl = document.getElementById('load-progress');
+  const loadProgressText = document.getElementById('load-progress-text');
+  const loadCancelBtn = document.getElementById('load-cancel');
+  const resumeEl = document.getElementById('resume-game');
+  const resumeBtn = document.getElementById('resume-btn');
+  const resumeSummary = document.getElementById('resume-summary');
   const configToggleBtn = document.getElementById('config-toggle');
   const exportBtn = document.getElementById('export-geojson');
+  const offlineBtn = document.getElementById('save-offline');
 
   const promptEl = document.getElementById('prompt');
   const statusEl = document.getElementById('status');
+  const announcerEl = document.getElementById('announcer');
+  const patternsInput = document.getElementById('patterns');
   const scoreEl = document.getElementById('score');
   const uiEl = document.getElementById('ui');
   const skipBtn = document.getElementById('skip');
   const restartBtn = document.getElementById('restart');
   const exitBtn = document.getElementById('exit');
   const presetButtons = document.getElementById('preset-buttons');
+  const presetSearch = document.getElementById('preset-search');
+  const answerForm = document.getElementById('answer-form');
+  const answerInput = document.getElementById('answer-input');
+  const choicesEl = document.getElementById('choices');
+  const timerEl = document.getElementById('timer');
+  const leaderboardEl = document.getElementById('leaderboard');
+  const challengeEl = document.getElementById('challenge');
+  const shareBtn = document.getElementById('share');
+  const shareUrlInput = document.getElementById('share-url');
+  const showResultsBtn = document.getElementById('show-results');
+  const nextZoneBtn = document.getElementById('next-zone');
+  const chunkPicker = document.getElementById('chunk-picker');
+  const chunkSelect = document.getElementById('chunk-select');
+  const cleanupReportEl = document.getElementById('cleanup-report');
+  const resultsEl = document.getElementById('results');
+  const resultsSummary = document.getElementById('results-summary');
+  const resultsTable = document.getElementById('results-table');
+  const replayMissedBtn = document.getElementById('results-replay-missed');
+  const graduateBtn = document.getElementById('results-graduate');
+  const mapFileInput = document.getElementById('mapFile');
+  const replayFileBtn = document.getElementById('replay-file');
+  const dropOverlay = document.getElementById('drop-overlay');
+  const editBtn = document.getElementById('edit-map');
+  const editorEl = document.getElementById('editor');
+  const editorTool = document.getElementById('editor-tool');
+  const editorActiveGroup = document.getElementById('editor-active-group');
+  const editorDetails = document.getElementById('editor-details');
+  const editorInclude = document.getElementById('editor-include');
+  const editorName = document.getElementById('editor-name');
+  const editorLabel = document.getElementById('editor-label');
+  const editorGroup = document.getElementById('editor-group');
+  const editorGroupList = document.getElementById('editor-groups');
+  const editorSummary = document.getElementById('editor-summary');
+  const editorPresetName = document.getElementById('editor-preset-name');
+  const editorStatus = document.getElementById('editor-status');
+  const queryPreview = document.getElementById('query-preview');
 
   const input = {
+    areaType: document.getElementById('areaType'),
     relationId: document.getElementById('relationId'),
-    subtypeKey: document.getElementById('subtypeKey'),
+    areaName: document.getElementById('areaName'),
+    bbox: document.getElementById('bbox'),
+    filters: document.getElementById('tagFilters'),
+    rawQuery: document.getElementById('rawQuery'),
     overpassEndpoint: document.getElementById('overpassEndpoint'),
     lat: document.getElementById('centerLat'),
     lng: document.getElementById('centerLng'),
     zoom: document.getElementById('zoom'),
+    promptOrder: document.getElementById('promptOrder'),
+    answerMode: document.getElementById('answerMode'),
+    promptField: document.getElementById('promptField'),
+    promptTemplate: document.getElementById('promptTemplate'),
+    gameMode: document.getElementById('gameMode'),
+    includeLines: document.getElementById('includeLines'),
+    includePoints: document.getElementById('includePoints'),
+    cleanup: document.getElementById('cleanup'),
+    scoring: document.getElementById('scoring'),
+    difficulty: document.getElementById('difficulty'),
+    zoneMode: document.getElementById('zoneMode'),
+    chunking: document.getElementById('chunking'),
+    chunkTag: document.getElementById('chunkTag'),
   };
 
+  // Last local file played: { name, hash, features } (kept for "Replay")
+  let localFile = null;
+
+  // Saved game waiting for its map to load (see resumeSavedGame)
+  let pendingResume = null;
+
   // Leaflet map references
   let map = null;
   let baseLayer = null;
+  let hiddenBaseLabelIds = []; // base-map symbol layers hidden for medium+ difficulty
   let geoLayer = null;
 
   // Game state
   const state = {
     config: null,
     features: [], // raw GeoJSON features
+    sourceFeatures: [], // everything the loader produced, before filtering (used by the editor)
     idToLayer: new Map(), // id -> Leaflet layer
+    kindById: new Map(), // id -> 'polygon' | 'line' | 'point'
     order: [],
     targetIndex: 0, // index into order
     attemptsForCurrent: 0,
     score: 0,
     maxScore: 0,
-    // resultsById: id -> { attempts: number, skipped: boolean, points: number }
+    // resultsById: id -> { attempts: number, skipped: boolean, points: number, timeMs: number, gaveUp?: boolean }
     resultsById: new Map(),
     isRevealing: false,
     labels: [], // { id, marker, rect: {x,y,w,h} }
     labeledIds: new Set(),
     revealIntervalId: null,
     revealTargetId: null,
+    profile: null, // learning profile for the current map (see loadProfile)
+    gameStartedAt: 0, // ms timestamps for the game clock and time-to-click
+    roundStartedAt: 0,
+    clockIntervalId: null,
+    isGameOver: false,
+    firstMissMeters: null, // proximity scoring: distance of the first wrong click this round
+    wrongIdsForCurrent: [], // features clicked instead of the current target
+    wrongAnswersForCurrent: [], // wrong names typed for the current target
+    activeIds: null, // Set of ids in the prompt order when it's a subset (drill); others are dimmed
+    seed: '', // shuffle seed of the current game (see challenge links)
+    lastRunMs: 0, // elapsed time of the finished game
+    focusId: null, // feature with the keyboard focus ring
+    classOf: new Map(), // id -> id of its answer class's representative (see buildAnswerClasses)
+    classMembers: new Map(), // representative id -> [ids], in feature order
   };
 
   // Defaults
   const DEFAULTS = {
-    subtypeKey: 'building',
+    areaType: 'relation', // 'relation' | 'area' (named) | 'bbox'
+    filters: 'building', // tag filters, see parseTagFilters
     zoom: 16,
     overpassEndpoint: 'https://overpass-api.de/api/interpreter',
     styleEndpoint: 'mapstyle.json',
+    promptOrder: 'random',
+    answerMode: 'click', // 'click' the named polygon, 'type' the name of a highlighted one, or pick it from 'choice' buttons
+    promptField: 'name', // property key, or a template like "{ref} – {addr:housename}"
+    gameMode: 'standard', // 'standard' | 'countdown' | 'speedrun' | 'sudden-death'
+    includeLines: false, // also quiz on LineStrings (streets, paths)
+    includePoints: false, // also quiz on Points (statues, stops, entrances)
+    cleanup: 'auto', // merge split buildings, enlarge tiny polygons and rename duplicates: 'auto' (Overpass data only), 'on' or 'off'
+    scoring: 'binary', // 'binary' (1 point for first try) or 'proximity' (partial credit by distance)
+    difficulty: 'easy', // 'easy', 'medium' (no base-map labels), 'hard' (no outlines), 'expert' (no base map)
+    zoneMode: 'off', // 'off', 'zones' (quiz the groups themselves) or 'zones-then-regions' (then each group's members)
+    chunking: 'off', // split big maps into play-sized chunks: 'off', 'kmeans' (clusters), 'grid' or 'tag'
+    chunkTag: 'building', // OSM tag whose values name the chunks when chunking by tag
   };
 
   // Define presets in one place. Update this array to add/remove presets.
-  const PRESETS = [
-    { key: 'mit-main', label: 'MIT Main Buildings', path: 'preset-maps/mit-main.geojson' },
-    { key: 'mit-east', label: 'MIT East Buildings', path: 'preset-maps/mit-east.geojson' },
-    { key: 'mit-west', label: 'MIT West Buildings', path: 'preset-maps/mit-west.geojson' },
-    { key: 'mit-all', label: 'MIT All Buildings', path: 'preset-maps/mit-all.geojson' },
-  ];
+  // Preset packs are JSON manifests (see preset-maps/presets.json); ?presets=<url>
+  // adds more. Entries are normalized into PRESETS by normalizePresetEntry.
+  const BUILTIN_PRESETS_URL = 'preset-maps/presets.json';
+  const PRESETS = [];
+  const loadedPresetPacks = new Set(); // absolute manifest URLs
+
+  // Properties written by the map editor
+  const LABEL_PROPERTY = 'georecall:label'; // explicit prompt label, overrides the prompt-field setting
+  const GROUP_PROPERTY = 'georecall:group'; // named subset
+  const ANSWER_CLASS_PROPERTY = 'georecall:answer'; // features sharing a value are interchangeable answers
 
   // Styling choices
   const styleDefaults = {
     weight: 1,
     color: '#666666',
+    opacity: 1,
+    dashArray: null, // setStyle merges, so these two also clear the focus ring
     fillColor: '#cccccc',
     fillOpacity: 0.1,
   };
@@ -91,11 +198,48 @@
   const styleCorrect1 = { fillColor: '#ffd800', fillOpacity: 0.7 }; // 1 miss → yellow
   const styleWorst = { fillColor: '#ff0000', fillOpacity: 0.7 };    // 2+ misses → red
   const styleSkipped = { fillColor: '#cccccc', fillOpacity: 0.5 };
+  const styleOutOfPlay = { opacity: 0.25, fillOpacity: 0.05 }; // dimmed: not prompted this game
+  const styleFocus = { weight: 3, color: '#2563eb', opacity: 1, dashArray: '6 4' }; // keyboard focus ring
+  const styleMagnifierCandidate = { weight: 2, color: '#2563eb', opacity: 0.9, fillColor: '#2563eb', fillOpacity: 0.1 }; // hidden shapes, shown to tap
+  // Result fills as SVG patterns (defined in index.html) for color-blind players
+  const RESULT_PATTERNS = {
+    [styleCorrect0.fillColor]: 'pattern-correct0',
+    [styleCorrect1.fillColor]: 'pattern-correct1',
+    [styleWorst.fillColor]: 'pattern-worst',
+  };
+  // ...and, for lines and point markers, as dashes and rings
+  const RESULT_LINE_DASHES = {
+    [styleCorrect0.fillColor]: null, // solid
+    [styleCorrect1.fillColor]: '10 6',
+    [styleWorst.fillColor]: '2 6',
+  };
+  const RESULT_POINT_STYLES = {
+    [styleCorrect0.fillColor]: { fillOpacity: 0.9 }, // filled
+    [styleCorrect1.fillColor]: { weight: 3, fillOpacity: 0.15 }, // ring
+    [styleWorst.fillColor]: { weight: 3, fillOpacity: 0.15, dashArray: '3 3' }, // dashed ring
+  };
+
+  // Lines and points carry the result color in their stroke / marker fill
+  const LINE_WEIGHT_PX = 4;
+  const POINT_RADIUS_PX = 7;
+  const LINE_HIT_TOLERANCE_PX = 10; // clicks this close to a line count as hits
+  const POINT_HIT_RADIUS_PX = 14;   // clicks this close to a point marker count as hits
+  // Touch: taps are hit-tested against everything within a finger's width
+  const TAP_TOLERANCE_PX = 20;
+  const TAP_AMBIGUOUS_PX = 8; // candidates this much farther than the nearest still count as "close"
+  const MAGNIFIER_ZOOM_STEPS = 2;
 
   // Timing constants (ms)
   const WRONG_FLASH_MS = 300;      // duration of red flash on wrong click
   const REVEAL_FLASH_MS = 2000;    // duration of red flash when revealing correct polygon
   const ADVANCE_DELAY_MS = 900;    // delay before moving to next after a correct click
+  const COUNTDOWN_MS = 60000;      // length of a countdown game
+  const CLOCK_TICK_MS = 100;       // timer display refresh
+  const HIGH_SCORES_KEPT = 5;      // entries per map and mode
+
+  // Proximity scoring: credit = exp(-firstMissMeters / scale) * decay^misses
+  const PROXIMITY_SCALE_M = 150;
+  const PROXIMITY_MISS_DECAY = 0.75;
 
   // Label placement config
   const LABEL_PAD_PX = 4;
@@ -103,10 +247,38 @@
   const AVG_CHAR_W_PX = 7; // rough width per character for collision boxes
   const REVEAL_BLINK_PERIOD_MS = 500; // blink cadence for revealed target
 
-  // Util: shuffle array in-place
-  function shuffle(arr) {
+  // Spaced repetition (SM-2 style) scheduling
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const SRS_INITIAL_EASE = 2.5;
+  const SRS_MIN_EASE = 1.3;
+  const DRILL_PAIRS = 6; // most-confused pairs prompted in a drill
+
+  // Offline caches (names shared with sw.js)
+  const APP_CACHE = 'building-guessr-app-v1';
+  const TILE_CACHE = 'building-guessr-tiles-v1';
+  const OVERPASS_CACHE = 'building-guessr-overpass-v1';
+  const OVERPASS_CACHE_MAX_AGE_MS = 7 * DAY_MS; // older responses are used only when offline
+
+  // Overpass client: the configured endpoint is tried first, then these mirrors
+  const OVERPASS_ENDPOINTS = [
+    'https://overpass-api.de/api/interpreter',
+    'https://overpass.private.coffee/api/interpreter',
+    'https://overpass.kumi.systems/api/interpreter',
+  ];
+  const OVERPASS_MAX_ATTEMPTS = 6;
+  const OVERPASS_BACKOFF_BASE_MS = 2000;  // doubles with each failure of the same endpoint
+  const OVERPASS_BACKOFF_MAX_MS = 60000;
+  const OVERPASS_REQUEST_TIMEOUT_MS = 60000; // the query itself asks for [timeout:25]
+
+  const OFFLINE_MAX_ZOOM = 16;
+  const OFFLINE_MAX_TILES = 3000;
+  const OFFLINE_GLYPH_RANGES = ['0-255', '256-511', '8192-8447']; // Latin, Latin-1 ext., punctuation
+  const OFFLINE_FETCH_CONCURRENCY = 6;
+
+  // Util: shuffle array in-place; pass a seeded random() for a reproducible order
+  function shuffle(arr, random = Math.random) {
     for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
@@ -135,11 +307,35 @@
     return String(id);
   }
 
+  function propertyText(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim();
+  }
+
+  // Render a prompt-field setting against feature properties. A plain key reads
+  // that property; a template fills {key} placeholders, and empty placeholders
+  // are dropped together with the separator text in front of them.
+  function formatPromptField(props, field) {
+    if (!field.includes('{')) return propertyText(props[field]);
+    const parts = field.split(/\{([^}]*)\}/); // [literal, key, literal, key, ..., literal]
+    let out = '';
+    let filled = 0;
+    for (let i = 1; i < parts.length; i += 2) {
+      const value = propertyText(props[parts[i].trim()]);
+      if (!value) continue;
+      out += (filled === 0 ? '' : parts[i - 1]) + value;
+      filled += 1;
+    }
+    if (!filled) return '';
+    return (parts[0] + out + parts[parts.length - 1]).trim();
+  }
+
   function getPromptLabel(feature, fallbackId) {
     const props = feature && feature.properties ? feature.properties : {};
-    const name = props.name;
-    if (name !== undefined && name !== null && String(name).trim() !== '') return String(name);
-    return '';
+    const explicit = propertyText(props[LABEL_PROPERTY]);
+    if (explicit) return explicit;
+    const field = (state.config && state.config.promptField) || DEFAULTS.promptField;
+    return formatPromptField(props, field);
   }
 
   function saveConfigToLocalStorage(cfg) {
@@ -155,30 +351,255 @@
     } catch (_) { return null; }
   }
 
+  // --- Learning profile (persists across sessions, keyed per map) ---
+  // profile: { items: { [featureId]: { reps, ease, intervalDays, due, lapses, seen } } }
+  function loadProfile(mapKey) {
+    if (!mapKey) return { items: {} };
+    try {
+      const raw = localStorage.getItem(`building-guessr:profile:${mapKey}`);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return parsed && parsed.items ? parsed : { items: {} };
+    } catch (_) { return { items: {} }; }
+  }
+  function saveProfile(mapKey, profile) {
+    if (!mapKey) return;
+    try {
+      localStorage.setItem(`building-guessr:profile:${mapKey}`, JSON.stringify(profile));
+    } catch (_) { /* ignore */ }
+  }
+
+  // Map a round result onto the SM-2 0..5 recall quality scale
+  function recallQuality(res) {
+    if (res.skipped) return 0;
+    if (res.attempts === 0) return 5;
+    if (res.attempts === 1) return 3;
+    if (res.attempts === 2) return 2;
+    return 1;
+  }
+
+  // SM-2 update. Lapses are due again immediately (Leitner-style back to box 1)
+  // so the next session starts with them instead of waiting a day.
+  function scheduleReview(item, quality, now) {
+    const next = {
+      reps: item ? item.reps : 0,
+      ease: item ? item.ease : SRS_INITIAL_EASE,
+      intervalDays: item ? item.intervalDays : 0,
+      lapses: item ? item.lapses : 0,
+      seen: (item ? item.seen : 0) + 1,
+    };
+    if (quality < 3) {
+      next.reps = 0;
+      next.intervalDays = 0;
+      next.lapses += 1;
+    } else {
+      next.reps += 1;
+      if (next.reps === 1) next.intervalDays = 1;
+      else if (next.reps === 2) next.intervalDays = 6;
+      else next.intervalDays = Math.round(next.intervalDays * next.ease);
+    }
+    next.ease = Math.max(SRS_MIN_EASE, next.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    next.due = now + next.intervalDays * DAY_MS;
+    return next;
+  }
+
+  function recordLearning(id, res) {
+    const mapKey = state.config && state.config.mapKey;
+    if (!mapKey) return;
+    if (!state.profile) state.profile = loadProfile(mapKey);
+    state.profile.items[id] = scheduleReview(state.profile.items[id], recallQuality(res), Date.now());
+    if (res.attempts === 0 && !res.skipped && !res.gaveUp) easeConfusions(id);
+    saveProfile(mapKey, state.profile);
+  }
+
+  // --- Confusion pairs (drill mode) ---
+  // profile.confusions: { [targetId]: { [clickedId]: count } }, kept across games
+  function recordConfusion(targetId, clickedId) {
+    const mapKey = state.config && state.config.mapKey;
+    if (!mapKey) return;
+    if (!state.profile) state.profile = loadProfile(mapKey);
+    const confusions = state.profile.confusions || (state.profile.confusions = {});
+    const row = confusions[targetId] || (confusions[targetId] = {});
+    row[clickedId] = (row[clickedId] || 0) + 1;
+    saveProfile(mapKey, state.profile);
+  }
+
+  // A first-try answer halves the target's counts, so drilled pairs graduate
+  function easeConfusions(targetId) {
+    const confusions = state.profile.confusions;
+    const row = confusions && confusions[targetId];
+    if (!row) return;
+    for (const clickedId of Object.keys(row)) {
+      row[clickedId] = Math.floor(row[clickedId] / 2);
+      if (!row[clickedId]) delete row[clickedId];
+    }
+    if (!Object.keys(row).length) delete confusions[targetId];
+  }
+
+  // Unordered pairs ranked by confusions in either direction, among the given ids
+  function topConfusionPairs(ids, limit, profile = state.profile) {
+    const confusions = (profile && profile.confusions) || {};
+    const totals = new Map();
+    for (const [targetId, row] of Object.entries(confusions)) {
+      for (const [clickedId, count] of Object.entries(row)) {
+        if (targetId === clickedId || !ids.has(targetId) || !ids.has(clickedId)) continue;
+        const key = JSON.stringify([targetId, clickedId].sort());
+        totals.set(key, (totals.get(key) || 0) + count);
+      }
+    }
+    return [...totals]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([key]) => JSON.parse(key));
+  }
+
+  // Most-confused pair first, its two members back to back (in shuffled order)
+  // so each is asked right after the one it gets mixed up with. A feature in
+  // several pairs is asked once.
+  function buildDrillOrder(features, shuffled) {
+    const indexById = new Map(features.map((f, idx) => [getFeatureId(f, idx), idx]));
+    const rank = new Map(shuffled.map((idx, pos) => [idx, pos]));
+    const order = [];
+    for (const pair of topConfusionPairs(new Set(indexById.keys()), DRILL_PAIRS)) {
+      const members = pair.map(id => indexById.get(classRepresentative(id))).sort((a, b) => rank.get(a) - rank.get(b));
+      for (const idx of members) {
+        if (!order.includes(idx)) order.push(idx);
+      }
+    }
+    return order;
+  }
+
+  // Drill mode needs at least one recorded mix-up between two of these features
+  function canDrill(features, profile = state.profile) {
+    return topConfusionPairs(new Set(features.map((f, idx) => getFeatureId(f, idx))), 1, profile).length > 0;
+  }
+
+  const NO_DRILL_MESSAGE = 'No mix-ups recorded on this map yet. Play it in another order first, then drill.';
+
+  // Features left out of the prompt order stay clickable (as wrong answers) but dimmed
+  function updateActiveIds() {
+    const ids = state.order.flatMap(idx => classIds(getFeatureId(state.features[idx], idx)));
+    state.activeIds = ids.length < state.features.length ? new Set(ids) : null;
+  }
+
+  // One index per answer class, in the seeded order
+  function shuffledRepresentatives(features) {
+    return shuffle([...features.keys()].filter(idx => isClassRepresentative(getFeatureId(features[idx], idx))),
+      mulberry32(seedToInt(state.seed)));
+  }
+
+  // Build the prompt order (indices into state.features). Review mode puts due
+  // items first (weakest ease first), then unseen items, then the rest by due date.
+  // Drill mode prompts only the members of the most-confused pairs.
+  function buildPromptOrder(features) {
+    const indices = shuffledRepresentatives(features);
+    if (state.config && state.config.promptOrder === 'drill') return buildDrillOrder(features, indices);
+    if (!state.config || state.config.promptOrder !== 'review') return indices;
+    const items = (state.profile && state.profile.items) || {};
+    const now = Date.now();
+    const bucket = (item) => (!item ? 1 : (item.due <= now ? 0 : 2));
+    return indices
+      .map((idx, shuffled) => ({ idx, shuffled, item: items[getFeatureId(features[idx], idx)] }))
+      .sort((a, b) => {
+        const ba = bucket(a.item), bb = bucket(b.item);
+        if (ba !== bb) return ba - bb;
+        if (ba === 0) return (a.item.ease - b.item.ease) || (a.item.due - b.item.due);
+        if (ba === 2) return a.item.due - b.item.due;
+        return a.shuffled - b.shuffled;
+      })
+      .map(e => e.idx);
+  }
+
+  function describeDrill() {
+    return `Drill: ${state.order.length} regions you tend to mix up. The rest are dimmed.`;
+  }
+
+  function describeReviewQueue(features) {
+    const items = (state.profile && state.profile.items) || {};
+    const now = Date.now();
+    let due = 0, fresh = 0;
+    features.forEach((f, idx) => {
+      const item = items[getFeatureId(f, idx)];
+      if (!item) fresh += 1;
+      else if (item.due <= now) due += 1;
+    });
+    return `Review: ${due} due, ${fresh} new.`;
+  }
+
   function setInputsFromConfig(cfg) {
     if (!cfg) return;
+    input.areaType.value = cfg.areaType || DEFAULTS.areaType;
     input.relationId.value = cfg.relationId ?? '';
-    input.subtypeKey.value = cfg.subtypeKey || DEFAULTS.subtypeKey;
+    input.areaName.value = cfg.areaName || '';
+    input.bbox.value = Array.isArray(cfg.bbox) ? cfg.bbox.join(', ') : '';
+    // subtypeKey: single-key configs saved before tag filters existed
+    input.filters.value = cfg.filters || cfg.subtypeKey || DEFAULTS.filters;
+    input.rawQuery.value = cfg.rawQuery || '';
     input.overpassEndpoint.value = cfg.overpassEndpoint || DEFAULTS.overpassEndpoint;
     input.lat.value = cfg.center && cfg.center.lat !== undefined ? cfg.center.lat : '';
     input.lng.value = cfg.center && cfg.center.lng !== undefined ? cfg.center.lng : '';
     input.zoom.value = cfg.zoom !== undefined ? cfg.zoom : '';
+    input.promptOrder.value = cfg.promptOrder || DEFAULTS.promptOrder;
+    input.answerMode.value = cfg.answerMode || DEFAULTS.answerMode;
+    input.gameMode.value = cfg.gameMode || DEFAULTS.gameMode;
+    input.includeLines.checked = cfg.includeLines ?? DEFAULTS.includeLines;
+    input.includePoints.checked = cfg.includePoints ?? DEFAULTS.includePoints;
+    input.cleanup.value = cfg.cleanup || DEFAULTS.cleanup;
+    input.scoring.value = cfg.scoring || DEFAULTS.scoring;
+    input.difficulty.value = cfg.difficulty || DEFAULTS.difficulty;
+    input.zoneMode.value = cfg.zoneMode || DEFAULTS.zoneMode;
+    input.chunking.value = cfg.chunking || DEFAULTS.chunking;
+    input.chunkTag.value = cfg.chunkTag || DEFAULTS.chunkTag;
+    input.chunkTag.hidden = input.chunking.value !== 'tag';
+    setPromptFieldInput(cfg.promptField || DEFAULTS.promptField);
+    updateAreaInputs();
+  }
+
+  function setPromptFieldInput(field) {
+    const isKnownKey = [...input.promptField.options].some(o => o.value === field && o.value !== 'template');
+    input.promptField.value = isKnownKey ? field : 'template';
+    input.promptTemplate.value = isKnownKey ? '' : field;
+    input.promptTemplate.hidden = isKnownKey;
+  }
+
+  // Options that apply to every data source (presets, GeoJSON URLs, Overpass)
+  function gatherGameOptionsFromInputs() {
+    const fieldChoice = input.promptField.value || DEFAULTS.promptField;
+    const template = input.promptTemplate.value.trim();
+    return {
+      promptOrder: input.promptOrder.value || DEFAULTS.promptOrder,
+      answerMode: input.answerMode.value || DEFAULTS.answerMode,
+      promptField: fieldChoice === 'template' ? (template || DEFAULTS.promptField) : fieldChoice,
+      gameMode: input.gameMode.value || DEFAULTS.gameMode,
+      includeLines: input.includeLines.checked,
+      includePoints: input.includePoints.checked,
+      cleanup: input.cleanup.value || DEFAULTS.cleanup,
+      scoring: input.scoring.value || DEFAULTS.scoring,
+      difficulty: input.difficulty.value || DEFAULTS.difficulty,
+      zoneMode: input.zoneMode.value || DEFAULTS.zoneMode,
+      chunking: input.chunking.value || DEFAULTS.chunking,
+      chunkTag: input.chunkTag.value.trim() || DEFAULTS.chunkTag,
+    };
   }
 
   function gatherConfigFromInputs() {
     const relationId = parseNumber(input.relationId.value);
-    const subtypeKey = (input.subtypeKey.value || DEFAULTS.subtypeKey).trim();
+    const filters = input.filters.value.trim() || DEFAULTS.filters;
     const overpassEndpoint = (input.overpassEndpoint.value || DEFAULTS.overpassEndpoint).trim();
     const centerLat = parseNumber(input.lat.value);
     const centerLng = parseNumber(input.lng.value);
     const zoom = parseNumber(input.zoom.value);
 
     const cfg = {
+      areaType: input.areaType.value || DEFAULTS.areaType,
       relationId,
-      subtypeKey,
+      areaName: input.areaName.value.trim() || undefined,
+      bbox: parseBbox(input.bbox.value),
+      filters,
+      rawQuery: input.rawQuery.value.trim() || undefined,
       overpassEndpoint,
       center: (centerLat !== undefined && centerLng !== undefined) ? { lat: centerLat, lng: centerLng } : undefined,
       zoom: zoom !== undefined ? zoom : DEFAULTS.zoom,
+      ...gatherGameOptionsFromInputs(),
     };
     return cfg;
   }
@@ -188,6 +609,7 @@
     if (map) return;
     map = L.map(mapEl, { zoomControl: false });
     L.control.zoom({ position: 'bottomright' }).addTo(map);
+    map.on('click', handleMapClick);
     // Vector tiles via MapLibre GL (Leaflet integration)
     try {
       if (L.maplibreGL) {
@@ -224,7 +646,11 @@
     clearLabels();
     state.features = [];
     state.idToLayer.clear();
+    state.kindById.clear();
+    state.focusId = null;
     if (exportBtn) exportBtn.hidden = true;
+    editBtn.hidden = true;
+    offlineBtn.hidden = true;
   }
 
   // Remove all label markers from the map and reset label state
@@ -245,20 +671,241 @@
   }
 
   // Style helpers
-  function persistentStyleForId(id) {
-    const res = state.resultsById.get(id);
+  function persistentFillStyleForId(id) {
+    const res = resultForId(id);
     if (!res) return styleDefaults;
     if (res.skipped) return { ...styleDefaults, ...styleSkipped };
     if (res.attempts === 0) return { ...styleDefaults, ...styleCorrect0 };
     if (res.attempts === 1) return { ...styleDefaults, ...styleCorrect1 };
     return { ...styleDefaults, ...styleWorst };
   }
+  function persistentStyleForId(id) {
+    let style = adaptStyleToGeometry(persistentFillStyleForId(id), state.kindById.get(id));
+    if (state.activeIds && !state.activeIds.has(id)) style = { ...style, ...styleOutOfPlay };
+    if (hidesOutlines()) {
+      // Nothing is drawn until answered (clicks still hit the invisible shapes);
+      // answered polygons show their result fill without an outline
+      if (!resultForId(id)) style = { ...style, opacity: 0, fillOpacity: 0 };
+      else if (state.kindById.get(id) === 'polygon') style = { ...style, opacity: 0 };
+    }
+    const kind = state.kindById.get(id);
+    if (patternsInput.checked && RESULT_PATTERNS[style.fillColor]) {
+      if (kind === 'polygon') style = { ...style, fillColor: `url(#${RESULT_PATTERNS[style.fillColor]})` };
+      else if (kind === 'line') style = { ...style, dashArray: RESULT_LINE_DASHES[style.fillColor] };
+      else if (kind === 'point') style = { ...style, color: style.fillColor, ...RESULT_POINT_STYLES[style.fillColor] };
+    }
+    return id === state.focusId ? { ...style, ...styleFocus } : style;
+  }
+  function flashStyleForId(id) {
+    return adaptStyleToGeometry({ ...styleDefaults, ...styleFlashWrong }, state.kindById.get(id));
+  }
+
+  // Polygon styles are written in fill terms; lines show the fill color as
+  // their stroke and points get a solid marker.
+  function adaptStyleToGeometry(style, kind) {
+    if (kind === 'line') {
+      const highlighted = style.fillColor !== styleDefaults.fillColor;
+      return {
+        ...style,
+        weight: LINE_WEIGHT_PX,
+        color: highlighted ? style.fillColor : style.color,
+        opacity: highlighted ? 0.9 : 0.6,
+      };
+    }
+    if (kind === 'point') {
+      return { ...style, radius: POINT_RADIUS_PX, fillOpacity: Math.max(style.fillOpacity, 0.5) };
+    }
+    return style;
+  }
+
+  function geometryKind(feature) {
+    const gt = feature && feature.geometry && feature.geometry.type;
+    if (gt === 'Polygon' || gt === 'MultiPolygon') return 'polygon';
+    if (gt === 'LineString' || gt === 'MultiLineString') return 'line';
+    if (gt === 'Point' || gt === 'MultiPoint') return 'point';
+    return null;
+  }
+
+  // Which geometry kinds a config plays with (polygons always)
+  function isKindEnabled(kind, cfg) {
+    if (kind === 'polygon') return true;
+    if (kind === 'line') return !!(cfg && cfg.includeLines);
+    if (kind === 'point') return !!(cfg && cfg.includePoints);
+    return false;
+  }
+
+  function pointToCircleMarker(feature, latlng) {
+    return L.circleMarker(latlng, { radius: POINT_RADIUS_PX });
+  }
+
+  function pointInRing(pt, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i], b = ring[j];
+      if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+  }
+
+  // Distance in pixels from a container point to a layer (0 inside a polygon)
+  function pixelDistanceToLayer(layer, kind, pt) {
+    if (kind === 'polygon') {
+      const latlngs = layer.getLatLngs();
+      const polygons = L.LineUtil.isFlat(latlngs[0]) ? [latlngs] : latlngs;
+      let best = Infinity;
+      for (const rings of polygons) {
+        const pxRings = rings.map(ring => ring.map(ll => map.latLngToContainerPoint(ll)));
+        if (pxRings.length && pointInRing(pt, pxRings[0]) && !pxRings.slice(1).some(hole => pointInRing(pt, hole))) return 0;
+        for (const ring of pxRings) {
+          for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            best = Math.min(best, L.LineUtil.pointToSegmentDistance(pt, ring[j], ring[i]));
+          }
+        }
+      }
+      return best;
+    }
+    if (kind === 'point') {
+      const markers = layer.getLatLng ? [layer] : layer.getLayers();
+      return Math.min(...markers.map(m => map.latLngToContainerPoint(m.getLatLng()).distanceTo(pt)));
+    }
+    const latlngs = layer.getLatLngs();
+    const parts = L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs;
+    let best = Infinity;
+    for (const part of parts) {
+      const pts = part.map(ll => map.latLngToContainerPoint(ll));
+      for (let i = 1; i < pts.length; i++) {
+        best = Math.min(best, L.LineUtil.pointToSegmentDistance(pt, pts[i - 1], pts[i]));
+      }
+    }
+    return best;
+  }
+
+  // Lines and small point markers are hard to hit exactly, so map clicks that
+  // miss every layer pick the nearest line/point within a pixel tolerance.
+  function nearestLineOrPoint(idToLayer, kindOf, containerPoint) {
+    let bestId = null, bestDist = Infinity;
+    for (const [id, layer] of idToLayer) {
+      const kind = kindOf(id);
+      if (kind !== 'line' && kind !== 'point') continue;
+      const tolerance = kind === 'line' ? LINE_HIT_TOLERANCE_PX : POINT_HIT_RADIUS_PX;
+      const d = pixelDistanceToLayer(layer, kind, containerPoint);
+      if (d <= tolerance && d < bestDist) { bestDist = d; bestId = id; }
+    }
+    return bestId;
+  }
+
+  function handleMapClick(e) {
+    if (editor.active) {
+      const id = nearestLineOrPoint(editor.idToLayer, (lid) => geometryKind(editor.idToLayer.get(lid).feature), e.containerPoint);
+      if (id) handleEditorClick(id);
+      return;
+    }
+    if (isTouchEvent(e)) return handleTap(e.containerPoint, e.latlng);
+    const id = nearestLineOrPoint(state.idToLayer, (lid) => state.kindById.get(lid), e.containerPoint);
+    if (!id) return;
+    const layer = state.idToLayer.get(id);
+    handleBuildingClick(layer.feature, layer, id);
+  }
+
+  // --- Touch play: tap tolerance and the magnifier ---
+  // Exact hits on tiny polygons are near impossible with a finger, so on touch
+  // screens every tap (on a layer or not) picks the nearest feature within
+  // TAP_TOLERANCE_PX. When several are about as close, a magnified view of
+  // them opens in a popup to tap the intended one.
+  let magnifier = null; // { popup, inset }
+
+  function isTouchEvent(e) {
+    const type = e.originalEvent && e.originalEvent.pointerType;
+    if (type) return type === 'touch';
+    return !!(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+  }
+
+  // [{ id, d }] within tolerance, nearest first
+  function featuresNearPoint(pt, tolerance) {
+    const near = [];
+    for (const [id, layer] of state.idToLayer) {
+      if (layer.getBounds) {
+        const bounds = layer.getBounds();
+        const nw = map.latLngToContainerPoint(bounds.getNorthWest());
+        const se = map.latLngToContainerPoint(bounds.getSouthEast());
+        if (pt.x < nw.x - tolerance || pt.x > se.x + tolerance || pt.y < nw.y - tolerance || pt.y > se.y + tolerance) continue;
+      }
+      const d = pixelDistanceToLayer(layer, state.kindById.get(id), pt);
+      if (d <= tolerance) near.push({ id, d });
+    }
+    return near.sort((a, b) => a.d - b.d);
+  }
+
+  function handleTap(containerPoint, latlng) {
+    closeMagnifier();
+    const near = featuresNearPoint(containerPoint, TAP_TOLERANCE_PX);
+    if (!near.length) return;
+    const answering = !isReverseMode() && !state.isGameOver && !state.isAdvancing && !state.isRevealing;
+    const close = near.filter(c => c.d - near[0].d <= TAP_AMBIGUOUS_PX);
+    if (answering && close.length > 1) return openMagnifier(latlng, near.map(c => c.id));
+    const layer = state.idToLayer.get(near[0].id);
+    handleBuildingClick(layer.feature, layer, near[0].id);
+  }
+
+  function openMagnifier(latlng, ids) {
+    const el = document.createElement('div');
+    el.className = 'magnifier';
+    const hint = document.createElement('div');
+    hint.className = 'magnifier-hint';
+    hint.textContent = 'Several regions are close. Tap the one you mean:';
+    const insetEl = document.createElement('div');
+    insetEl.className = 'magnifier-map';
+    el.append(hint, insetEl);
+    const popup = L.popup({ className: 'magnifier-popup', maxWidth: 260, autoPanPadding: [16, 16] })
+      .setLatLng(latlng)
+      .setContent(el)
+      .openOn(map);
+
+    const inset = L.map(insetEl, {
+      zoomControl: false, attributionControl: false, dragging: false, touchZoom: false,
+      scrollWheelZoom: false, doubleClickZoom: false, boxZoom: false, keyboard: false,
+    }).setView(latlng, map.getZoom() + MAGNIFIER_ZOOM_STEPS);
+    for (const id of ids) {
+      const layer = state.idToLayer.get(id);
+      L.geoJSON(layer.feature, { style: () => magnifierStyleForId(id), pointToLayer: pointToCircleMarker })
+        .on('click', (e) => {
+          L.DomEvent.stopPropagation(e);
+          closeMagnifier();
+          handleBuildingClick(layer.feature, layer, id);
+        })
+        .addTo(inset);
+    }
+    // Where the finger landed
+    L.circleMarker(latlng, { radius: 3, weight: 2, color: '#2563eb', fillOpacity: 1, interactive: false }).addTo(inset);
+    magnifier = { popup, inset };
+    popup.on('remove', () => {
+      inset.remove();
+      if (magnifier && magnifier.popup === popup) magnifier = null;
+    });
+  }
+
+  // Hard and expert draw nothing until answered; the inset outlines the candidates anyway
+  function magnifierStyleForId(id) {
+    const style = persistentStyleForId(id);
+    return style.opacity === 0 && !style.fillOpacity ? { ...style, ...styleMagnifierCandidate } : style;
+  }
+
+  function closeMagnifier() {
+    if (magnifier && map) map.closePopup(magnifier.popup);
+  }
+
+  // Narrow screens show the panels as bottom sheets that fold down to their essentials
+  function toggleSheet(panel, handle) {
+    const collapsed = panel.classList.toggle('collapsed');
+    handle.setAttribute('aria-expanded', String(!collapsed));
+  }
 
   // UI helpers
   function showUI() { uiEl.hidden = false; }
   function hideUI() { uiEl.hidden = true; }
 
   function showConfigPanel() {
+    renderResumeOffer();
     configPanel.hidden = false;
     configToggleBtn.hidden = true;
   }
@@ -280,88 +927,240 @@
     statusEl.append(icon, text);
   }
   function setPrompt(msg) { promptEl.textContent = `Find: ${msg || '—'}`; }
+  // Proximity scoring hands out fractional points
+  function formatScore(n) { return String(Math.round(n * 100) / 100); }
   function updateScoreDisplay() {
     const attempted = state.resultsById.size;
     const percent = attempted > 0 ? Math.round((state.score / attempted) * 100) : 0;
-    const remaining = Math.max(0, state.features.length - attempted);
-    scoreEl.textContent = `Score: ${state.score} / ${attempted} (${percent}%) • Remaining: ${remaining}`;
+    const remaining = Math.max(0, state.order.length - attempted);
+    scoreEl.textContent = `Score: ${formatScore(state.score)} / ${attempted} (${percent}%) • Remaining: ${remaining}`;
   }
 
   function setLoading(isLoading) {
     startBtn.disabled = isLoading;
     startBtn.textContent = isLoading ? 'Loading…' : 'Start Game';
+    loadProgressEl.hidden = !isLoading;
+    loadProgressText.textContent = 'Loading…';
+  }
+
+  function reportLoadProgress(msg) {
+    loadProgressText.textContent = msg;
   }
 
-  function buildOverpassQuery(relationId, subtypeKey) {
-    return `[
-out:json][timeout:25];
-rel(${relationId});
-map_to_area->.area;
-(
-  way["${subtypeKey}"](area.area);
-  relation["${subtypeKey}"](area.area);
-);
-out geom;`;
+  // --- Load cancellation ---
+  // One map load runs at a time: starting another one, Cancel or Exit aborts it.
+  let activeLoad = null; // AbortController of the load in progress
+
+  function beginLoad() {
+    if (activeLoad) activeLoad.abort();
+    activeLoad = new AbortController();
+    setLoading(true);
+    configError.textContent = '';
+    return activeLoad.signal;
+  }
+
+  // Only the load that's still current may clear the loading state
+  function endLoad(signal) {
+    if (!activeLoad || activeLoad.signal !== signal) return;
+    activeLoad = null;
+    setLoading(false);
+  }
+
+  function cancelLoad() {
+    pendingResume = null; // a new game of the same map shouldn't pick the cancelled resume back up
+    if (!activeLoad) return false;
+    activeLoad.abort();
+    activeLoad = null;
+    setLoading(false);
+    return true;
+  }
+
+  function isAbortError(err) {
+    return !!err && err.name === 'AbortError';
+  }
+
+  function abortError() {
+    return new DOMException('Load cancelled', 'AbortError');
+  }
+
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) return reject(abortError());
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      function onAbort() {
+        clearTimeout(timer);
+        reject(abortError());
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // --- Overpass query builder ---
+  // Tag filters are one alternative per line (or ";"-separated); conditions on a
+  // line are comma-separated and must all hold:
+  //   key   !key   key=value   key!=value   key=a|b   key!=a|b
+  // e.g. "building=university, name" + "amenity=library" finds both kinds.
+  function parseTagFilters(text) {
+    return String(text || '')
+      .split(/[\n;]/)
+      .map(line => line.split(',').map(c => c.trim()).filter(Boolean))
+      .filter(conds => conds.length)
+      .map(conds => {
+        const parsed = conds.map(parseTagCondition);
+        if (!parsed.some(c => c.op === 'present' || c.op === 'in')) {
+          throw new Error(`Tag filter "${conds.join(', ')}" needs at least one key or key=value to match`);
+        }
+        return parsed;
+      });
+  }
+
+  function parseTagCondition(cond) {
+    let m = cond.match(/^!\s*([^=!]+)$/);
+    if (m) return { key: m[1].trim(), op: 'absent' };
+    m = cond.match(/^([^=!]+?)\s*(!=|=)\s*(.*)$/);
+    if (m) {
+      const values = m[3].split('|').map(v => v.trim()).filter(Boolean);
+      if (!values.length) throw new Error(`Tag filter "${cond}" is missing a value`);
+      return { key: m[1], op: m[2] === '=' ? 'in' : 'notIn', values };
+    }
+    if (/^[^=!]+$/.test(cond)) return { key: cond, op: 'present' };
+    throw new Error(`Can't read tag filter "${cond}"`);
+  }
+
+  function quoteQL(str) {
+    return `"${String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  function compileTagCondition(cond) {
+    const key = quoteQL(cond.key);
+    if (cond.op === 'present') return `[${key}]`;
+    if (cond.op === 'absent') return `[!${key}]`;
+    const negate = cond.op === 'notIn';
+    if (cond.values.length === 1) return `[${key}${negate ? '!=' : '='}${quoteQL(cond.values[0])}]`;
+    const alternatives = cond.values.map(v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return `[${key}${negate ? '!~' : '~'}${quoteQL(`^(${alternatives})$`)}]`;
+  }
+
+  // "south, west, north, east" in degrees, or undefined when malformed
+  function parseBbox(text) {
+    const parts = String(text || '').split(',').map(p => parseNumber(p.trim()));
+    if (parts.length !== 4 || parts.some(p => p === undefined)) return undefined;
+    const [south, west, north, east] = parts;
+    if (south >= north || west >= east || Math.abs(south) > 90 || Math.abs(north) > 90) return undefined;
+    return parts;
+  }
+
+  // Statements that set up the search area, and the filter that restricts each query to it
+  function compileAreaClause(cfg) {
+    const areaType = cfg.areaType || DEFAULTS.areaType;
+    if (areaType === 'bbox') {
+      if (!cfg.bbox) throw new Error('Please provide a bounding box as south, west, north, east');
+      return { setup: '', filter: `(${cfg.bbox.join(',')})` };
+    }
+    if (areaType === 'area') {
+      if (!cfg.areaName) throw new Error('Please provide an area name');
+      return { setup: `area["name"=${quoteQL(cfg.areaName)}]->.area;\n`, filter: '(area.area)' };
+    }
+    if (!cfg.relationId || !Number.isFinite(cfg.relationId)) {
+      throw new Error('Please provide a valid numeric relation ID');
+    }
+    return { setup: `rel(${cfg.relationId});\nmap_to_area->.area;\n`, filter: '(area.area)' };
+  }
+
+  // Compiles the config's area and tag filters to Overpass QL; a raw query wins outright
+  function buildOverpassQuery(cfg) {
+    if (cfg.rawQuery) return cfg.rawQuery;
+    const area = compileAreaClause(cfg);
+    const alternatives = parseTagFilters(cfg.filters || cfg.subtypeKey || DEFAULTS.filters);
+    if (!alternatives.length) throw new Error('Please add at least one tag filter');
+    const elementTypes = cfg.includePoints ? ['way', 'relation', 'node'] : ['way', 'relation'];
+    const statements = [];
+    for (const conds of alternatives) {
+      const tags = conds.map(compileTagCondition).join('');
+      for (const type of elementTypes) statements.push(`  ${type}${tags}${area.filter};`);
+    }
+    return `[out:json][timeout:25];\n${area.setup}(\n${statements.join('\n')}\n);\nout geom;`;
+  }
+
+  // Profiles and high scores are stored per map; relation keys match the
+  // pre-filter "relation:<id>:<key>" form so single-key progress carries over
+  function overpassMapKey(cfg) {
+    if (cfg.rawQuery) return `overpass:${cfg.rawQuery.replace(/\s+/g, ' ')}`;
+    const filters = parseTagFilters(cfg.filters || cfg.subtypeKey || DEFAULTS.filters)
+      .map(conds => conds.map(compileTagCondition).join('')).join(';')
+      .replace(/^\["([^"]*)"\]$/, '$1');
+    const areaType = cfg.areaType || DEFAULTS.areaType;
+    if (areaType === 'bbox') return `bbox:${cfg.bbox.join(',')}:${filters}`;
+    if (areaType === 'area') return `area:${cfg.areaName}:${filters}`;
+    return `relation:${cfg.relationId}:${filters}`;
+  }
+
+  function updateAreaInputs() {
+    const areaType = input.areaType.value || DEFAULTS.areaType;
+    document.querySelectorAll('[data-area-type]').forEach(el => {
+      el.hidden = el.getAttribute('data-area-type') !== areaType;
+    });
+  }
+
+  function updateQueryPreview() {
+    try {
+      queryPreview.textContent = buildOverpassQuery(gatherConfigFromInputs());
+      queryPreview.classList.remove('error');
+    } catch (err) {
+      queryPreview.textContent = err.message || String(err);
+      queryPreview.classList.add('error');
+    }
   }
 
   function validateGeoJSON(fc) {
     return fc && fc.type === 'FeatureCollection' && Array.isArray(fc.features);
   }
 
-  async function loadGeojsonFromUrlAndStartGame(cfg, url) {
-    setLoading(true);
-    configError.textContent = '';
+  async function loadMapFromUrlAndStartGame(cfg, url) {
+    const signal = beginLoad();
+    if (!cfg.mapKey) cfg.mapKey = `geojson:${url}`;
+    cfg.dataUrl = url; // saved alongside tiles by "Save offline"
     try {
-      const resp = await fetch(url, { mode: 'cors' });
+      const resp = await fetch(url, { mode: 'cors', signal });
       if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-      const data = await resp.json();
-      if (!validateGeoJSON(data)) throw new Error('Not a valid GeoJSON FeatureCollection');
-      await initializeGame(data.features, cfg);
+      let features = await convertToFeatures(createMapSource(url, await resp.arrayBuffer()));
+      if (cfg.zonesUrl) features = await applyZoneLayer(features, cfg, signal);
+      if (signal.aborted) throw abortError();
+      await initializeGame(features, cfg);
       hideConfigPanel();
       showUI();
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
-      configError.textContent = `Failed to load preset: ${err.message || err}`;
+      pendingResume = null; // a failed resume mustn't hijack the next load of this map
+      configError.textContent = `Failed to load map data: ${err.message || err}`;
     } finally {
-      setLoading(false);
+      endLoad(signal);
     }
   }
 
-  // Attempt to resolve the osmtogeojson function from various globals/exports
-  function resolveOsmtogeojsonFunction() {
-    const g = (typeof window !== 'undefined') ? window : globalThis;
-    const lib = g.osmtogeojson;
-    if (!lib) return null;
-    if (typeof lib === 'function') return lib;
-    if (lib && typeof lib.default === 'function') return lib.default;
-    return null;
-  }
-
-  // Dynamically load osmtogeojson if not present; tries multiple CDN URLs
-  function ensureOsmtogeojsonLoaded() {
+  // Load a browser global from the first CDN URL that provides it.
+  // resolveFn returns the library (or null) from the current globals.
+  function ensureLibraryLoaded(name, resolveFn, candidates) {
     return new Promise((resolve, reject) => {
-      const existing = resolveOsmtogeojsonFunction();
+      const existing = resolveFn();
       if (existing) return resolve(existing);
-
-      const candidates = [
-        'https://unpkg.com/osmtogeojson@3.0.0/dist/osmtogeojson.umd.js',
-        'https://unpkg.com/osmtogeojson@3.0.0/dist/osmtogeojson.js',
-        'https://cdn.jsdelivr.net/npm/osmtogeojson@3.0.0/dist/osmtogeojson.umd.js',
-        'https://cdn.jsdelivr.net/npm/osmtogeojson@3.0.0/dist/osmtogeojson.js',
-      ];
       let idx = 0;
 
       function tryNext() {
         if (idx >= candidates.length) {
-          return reject(new Error('osmtogeojson library not loaded'));
+          return reject(new Error(`${name} library not loaded`));
         }
         const src = candidates[idx++];
         const s = document.createElement('script');
         s.src = src;
         s.async = true;
         s.onload = () => {
-          const fn = resolveOsmtogeojsonFunction();
-          if (fn) resolve(fn); else tryNext();
+          const lib = resolveFn();
+          if (lib) resolve(lib); else tryNext();
         };
         s.onerror = () => tryNext();
         document.head.appendChild(s);
@@ -370,130 +1169,1832 @@ out geom;`;
     });
   }
 
-  async function loadOverpassAndStartGame(cfg) {
-    setLoading(true);
-    configError.textContent = '';
+  // --- Local files (file picker / drag and drop) ---
+  function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  async function hashBuffer(buffer) {
+    // crypto.subtle only exists in secure contexts (not plain-http LAN hosts or file://)
+    if (!window.crypto || !window.crypto.subtle) return fnvHashBuffer(buffer);
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest).slice(0, 12), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Two FNV-1a passes with different offsets, plus the length: not
+  // cryptographic, but enough to tell local files apart
+  function fnvHashBuffer(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let a = 0x811c9dc5, b = 0x01000193;
+    for (let i = 0; i < bytes.length; i++) {
+      a = Math.imul(a ^ bytes[i], 0x01000193);
+      b = Math.imul(b ^ bytes[i], 0x01000193);
+    }
+    return [a >>> 0, b >>> 0, bytes.length].map(n => n.toString(16).padStart(8, '0')).join('');
+  }
+
+  // Per-file settings: game options plus an optional fixed view
+  function pickFileConfig(cfg) {
+    const out = { center: cfg.center, zoom: cfg.zoom };
+    for (const key of Object.keys(gatherGameOptionsFromInputs())) out[key] = cfg[key];
+    return out;
+  }
+  function saveFileConfig(hash, name, cfg) {
     try {
-      if (!cfg.relationId || !Number.isFinite(cfg.relationId)) {
-        throw new Error('Please provide a valid numeric relation ID');
-      }
-      const query = buildOverpassQuery(cfg.relationId, cfg.subtypeKey || DEFAULTS.subtypeKey);
-      const body = new URLSearchParams({ data: query });
-      const resp = await fetch(cfg.overpassEndpoint || DEFAULTS.overpassEndpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
-        body: body.toString(),
-      });
-      if (!resp.ok) throw new Error(`Overpass HTTP ${resp.status}`);
-      const overpassJson = await resp.json();
-      const osm2geo = await ensureOsmtogeojsonLoaded();
-      const gj = osm2geo(overpassJson, { flatProperties: true });
-      if (!validateGeoJSON(gj)) throw new Error('Converted Overpass result is not valid GeoJSON');
-      await initializeGame(gj.features, cfg);
-      hideConfigPanel();
-      showUI();
+      localStorage.setItem(`building-guessr:file:${hash}`, JSON.stringify({ name, config: pickFileConfig(cfg) }));
+    } catch (_) { /* ignore */ }
+  }
+  function loadFileConfig(hash) {
+    try {
+      const raw = localStorage.getItem(`building-guessr:file:${hash}`);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return parsed && parsed.config ? parsed.config : null;
+    } catch (_) { return null; }
+  }
+
+  // Start a game from features already read from a local file
+  async function startLocalFileGame(cfg) {
+    cfg.mapKey = `file:${localFile.hash}`;
+    await initializeGame(localFile.features, cfg);
+    saveFileConfig(localFile.hash, localFile.name, cfg);
+    replayFileBtn.textContent = `Replay ${localFile.name}`;
+    replayFileBtn.hidden = false;
+    hideConfigPanel();
+    showUI();
+  }
+
+  // A file seen before resumes with the settings it was last played with
+  async function loadLocalFileAndStartGame(file) {
+    const signal = beginLoad();
+    try {
+      const buffer = await readFileAsArrayBuffer(file);
+      const hash = await hashBuffer(buffer);
+      const features = await convertToFeatures(createMapSource(file.name, buffer));
+      if (signal.aborted) throw abortError();
+      localFile = { name: file.name, hash, features };
+      const remembered = loadFileConfig(hash);
+      const cfg = { ...gatherConfigFromInputs(), ...(remembered || {}) };
+      if (remembered) setInputsFromConfig(cfg);
+      clearLabels();
+      await startLocalFileGame(cfg);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
-      configError.textContent = `Failed to load Overpass data: ${err.message || err}`;
+      pendingResume = null;
+      configError.textContent = `Failed to load ${file.name}: ${err.message || err}`;
+      showConfigPanel();
     } finally {
-      setLoading(false);
+      endLoad(signal);
     }
   }
 
-  async function initializeGame(features, cfg) {
-    ensureMapInitialized();
-    clearExistingLayer();
+  // Attempt to resolve the osmtogeojson function from various globals/exports
+  function resolveOsmtogeojsonFunction() {
+    const g = (typeof window !== 'undefined') ? window : globalThis;
+    const lib = g.osmtogeojson;
+    if (!lib) return null;
+    if (typeof lib === 'function') return lib;
+    if (lib && typeof lib.default === 'function') return lib.default;
+    return null;
+  }
 
-    state.config = cfg;
-    state.resultsById.clear();
-    state.labels = [];
-    state.labeledIds.clear();
-    state.attemptsForCurrent = 0;
-    state.score = 0;
+  // Dynamically load osmtogeojson if not present; tries multiple CDN URLs
+  function ensureOsmtogeojsonLoaded() {
+    return ensureLibraryLoaded('osmtogeojson', resolveOsmtogeojsonFunction, [
+      'https://unpkg.com/osmtogeojson@3.0.0/dist/osmtogeojson.umd.js',
+      'https://unpkg.com/osmtogeojson@3.0.0/dist/osmtogeojson.js',
+      'https://cdn.jsdelivr.net/npm/osmtogeojson@3.0.0/dist/osmtogeojson.umd.js',
+      'https://cdn.jsdelivr.net/npm/osmtogeojson@3.0.0/dist/osmtogeojson.js',
+    ]);
+  }
 
-    // Filter to Polygon/MultiPolygon only and with a non-empty name
-    const polys = features.filter(f => {
-      if (!f || !f.geometry) return false;
-      const gt = f.geometry.type;
-      if (!(gt === 'Polygon' || gt === 'MultiPolygon')) return false;
-      const props = f.properties || {};
-      const n = props.name;
-      if (n === undefined || n === null || String(n).trim() === '') return false;
-      return true;
-    });
-    state.features = polys;
+  function globalLibrary(name) {
+    const g = (typeof window !== 'undefined') ? window : globalThis;
+    return g[name] || null;
+  }
 
-    // Build order and max score
-    state.order = shuffle([...polys.keys()]);
-    state.targetIndex = 0;
-    state.maxScore = polys.length; // binary scoring: 1 for first try only
-    updateScoreDisplay();
-    if (exportBtn) exportBtn.hidden = false;
+  function ensureTogeojsonLoaded() {
+    return ensureLibraryLoaded('togeojson', () => globalLibrary('toGeoJSON'), [
+      'https://unpkg.com/@tmcw/togeojson@5.8.1/dist/togeojson.umd.js',
+      'https://cdn.jsdelivr.net/npm/@tmcw/togeojson@5.8.1/dist/togeojson.umd.js',
+    ]);
+  }
 
-    // Create the GeoJSON layer
-    geoLayer = L.geoJSON(polys, {
-      style: function (feature) {
-        // Default style; if we already have a result, use it
-        const idx = polys.indexOf(feature);
-        const id = getFeatureId(feature, idx);
+  function ensureTopojsonLoaded() {
+    return ensureLibraryLoaded('topojson-client', () => globalLibrary('topojson'), [
+      'https://unpkg.com/topojson-client@3.1.0/dist/topojson-client.min.js',
+      'https://cdn.jsdelivr.net/npm/topojson-client@3.1.0/dist/topojson-client.min.js',
+    ]);
+  }
+
+  function ensureShpjsLoaded() {
+    return ensureLibraryLoaded('shpjs', () => globalLibrary('shp'), [
+      'https://unpkg.com/shpjs@4.0.4/dist/shp.min.js',
+      'https://cdn.jsdelivr.net/npm/shpjs@4.0.4/dist/shp.min.js',
+    ]);
+  }
+
+  async function featuresFromOsm(osmData) {
+    const osm2geo = await ensureOsmtogeojsonLoaded();
+    const gj = osm2geo(osmData, { flatProperties: true });
+    if (!validateGeoJSON(gj)) throw new Error('Converted OSM data is not valid GeoJSON');
+    return gj.features;
+  }
+
+  // --- Map data formats ---
+  // A map source wraps raw bytes with lazily decoded text/JSON/XML views so each
+  // format's detect() can sniff cheaply. Formats convert a source to a feature list.
+  function createMapSource(name, buffer) {
+    const bytes = new Uint8Array(buffer);
+    let text, json, xml;
+    return {
+      name: String(name || ''),
+      bytes,
+      get text() {
+        if (text === undefined) text = new TextDecoder('utf-8').decode(bytes);
+        return text;
+      },
+      get json() {
+        if (json === undefined) {
+          try { json = JSON.parse(this.text); } catch (_) { json = null; }
+        }
+        return json;
+      },
+      get xml() {
+        if (xml === undefined) {
+          const doc = new DOMParser().parseFromString(this.text, 'application/xml');
+          xml = doc.getElementsByTagName('parsererror').length ? null : doc;
+        }
+        return xml;
+      },
+    };
+  }
+
+  function isZip(bytes) {
+    return bytes.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  }
+  function looksLikeXml(src, rootTag) {
+    if (isZip(src.bytes) || !/^\s*</.test(src.text.slice(0, 512))) return false;
+    return !!src.xml && src.xml.documentElement.localName === rootTag;
+  }
+
+  // Register new formats here. Order matters: the first matching detect() wins.
+  const DATA_FORMATS = [
+    {
+      key: 'geojson',
+      label: 'GeoJSON',
+      detect: (src) => !isZip(src.bytes) && !!src.json && (src.json.type === 'FeatureCollection' || src.json.type === 'Feature'),
+      async toFeatures(src) {
+        const data = src.json.type === 'Feature' ? { type: 'FeatureCollection', features: [src.json] } : src.json;
+        if (!validateGeoJSON(data)) throw new Error('Not a valid GeoJSON FeatureCollection');
+        return data.features;
+      },
+    },
+    {
+      key: 'topojson',
+      label: 'TopoJSON',
+      detect: (src) => !isZip(src.bytes) && !!src.json && src.json.type === 'Topology',
+      async toFeatures(src) {
+        const topojson = await ensureTopojsonLoaded();
+        const objects = src.json.objects || {};
+        const features = [];
+        for (const name of Object.keys(objects)) {
+          const converted = topojson.feature(src.json, objects[name]);
+          if (converted.type === 'FeatureCollection') features.push(...converted.features);
+          else features.push(converted);
+        }
+        return features;
+      },
+    },
+    {
+      key: 'osm',
+      label: 'OSM JSON/XML',
+      detect: (src) => (!isZip(src.bytes) && !!src.json && Array.isArray(src.json.elements)) || looksLikeXml(src, 'osm'),
+      toFeatures: (src) => featuresFromOsm(src.json || src.xml),
+    },
+    {
+      key: 'kml',
+      label: 'KML',
+      detect: (src) => looksLikeXml(src, 'kml'),
+      async toFeatures(src) {
+        const toGeoJSON = await ensureTogeojsonLoaded();
+        return toGeoJSON.kml(src.xml).features;
+      },
+    },
+    {
+      key: 'gpx',
+      label: 'GPX',
+      detect: (src) => looksLikeXml(src, 'gpx'),
+      async toFeatures(src) {
+        const toGeoJSON = await ensureTogeojsonLoaded();
+        return toGeoJSON.gpx(src.xml).features;
+      },
+    },
+    {
+      key: 'shapefile',
+      label: 'Shapefile (.zip)',
+      detect: (src) => isZip(src.bytes),
+      async toFeatures(src) {
+        const shp = await ensureShpjsLoaded();
+        const result = await shp.parseZip(src.bytes.buffer);
+        // A zip with several .shp layers yields one FeatureCollection per layer
+        const collections = Array.isArray(result) ? result : [result];
+        return collections.flatMap(fc => (fc && fc.features) || []);
+      },
+    },
+  ];
+
+  async function convertToFeatures(src) {
+    const format = DATA_FORMATS.find(f => f.detect(src));
+    if (!format) {
+      const known = DATA_FORMATS.map(f => f.label).join(', ');
+      throw new Error(`Unrecognized map data format (supported: ${known})`);
+    }
+    const features = (await format.toFeatures(src)).filter(f => f && f.geometry);
+    if (!features.length) throw new Error(`The ${format.label} data contains no features with geometry`);
+    return features;
+  }
+
+  // Explain why nothing in a feature list can be played
+  function describeUnusableFeatures(features) {
+    const counts = { unlabeled: 0, line: 0, point: 0, other: 0 };
+    for (const f of features) {
+      const kind = geometryKind(f);
+      if (!kind) counts.other += 1;
+      else if (!isKindEnabled(kind, state.config)) counts[kind] += 1;
+      else if (!getPromptLabel(f)) counts.unlabeled += 1;
+    }
+    const field = (state.config && state.config.promptField) || DEFAULTS.promptField;
+    const parts = [];
+    if (counts.line) parts.push(`${counts.line} line(s) (enable "lines" to play them)`);
+    if (counts.point) parts.push(`${counts.point} point(s) (enable "points" to play them)`);
+    if (counts.other) parts.push(`${counts.other} feature(s) with unsupported geometry`);
+    if (counts.unlabeled) parts.push(`${counts.unlabeled} feature(s) without a value for prompt label "${field}"`);
+    return `No usable polygons: found ${parts.join(' and ') || 'no features'}.`;
+  }
+
+  // --- Overpass response cache ---
+  // The Cache API only stores GET requests, so each query is keyed under a
+  // synthetic URL built from its whitespace-normalized text.
+  function hasCacheStorage() {
+    return typeof caches !== 'undefined' && window.isSecureContext;
+  }
+
+  function overpassCacheRequest(query) {
+    const normalized = query.replace(/\s+/g, ' ').trim();
+    return new Request(`${window.location.origin}/overpass-cache?data=${encodeURIComponent(normalized)}`);
+  }
+
+  async function readCachedOverpass(query) {
+    if (!hasCacheStorage()) return null;
+    try {
+      const cache = await caches.open(OVERPASS_CACHE);
+      const resp = await cache.match(overpassCacheRequest(query));
+      if (!resp) return null;
+      return { text: await resp.text(), savedAt: Number(resp.headers.get('x-saved-at')) || 0 };
+    } catch (_) { return null; }
+  }
+
+  async function writeCachedOverpass(query, text) {
+    if (!hasCacheStorage()) return;
+    try {
+      const cache = await caches.open(OVERPASS_CACHE);
+      const headers = { 'Content-Type': 'text/plain', 'x-saved-at': String(Date.now()) };
+      await cache.put(overpassCacheRequest(query), new Response(text, { headers }));
+    } catch (_) { /* ignore */ }
+  }
+
+  // Fresh cached copy first, then the network, then a stale copy if no server
+  // could be reached (query errors and cancellation are still reported)
+  async function fetchOverpassText(endpoint, query, signal) {
+    const cached = await readCachedOverpass(query);
+    const isFresh = cached && Date.now() - cached.savedAt < OVERPASS_CACHE_MAX_AGE_MS;
+    if (isFresh || (cached && navigator.onLine === false)) return { ...cached, isStale: !isFresh };
+    try {
+      const text = await fetchOverpassFromNetwork(endpoint, query, signal);
+      await writeCachedOverpass(query, text);
+      return { text, savedAt: Date.now(), isStale: false };
+    } catch (err) {
+      if (cached && err.retryable) return { ...cached, isStale: true };
+      throw err;
+    }
+  }
+
+  // --- Overpass client ---
+  // Errors carry `retryable` (worth trying again or elsewhere) and, for
+  // 429/503, `retryAfterMs` from the server's Retry-After header.
+  function overpassError(message, retryable, retryAfterMs) {
+    const err = new Error(message);
+    err.retryable = retryable;
+    err.retryAfterMs = retryAfterMs;
+    return err;
+  }
+
+  function endpointHost(endpoint) {
+    try { return new URL(endpoint).host; } catch (_) { return endpoint; }
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  function parseRetryAfter(value) {
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+  }
+
+  // Overpass reports query errors as an HTML page with <strong>Error</strong>: lines
+  function overpassHtmlErrors(body) {
+    const messages = [];
+    const re = /<strong[^>]*>\s*Error\s*<\/strong>\s*:\s*([^<]+)/gi;
+    let m;
+    while ((m = re.exec(body || '')) !== null) messages.push(m[1].trim().replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+    return messages;
+  }
+
+  function describeOverpassHttpError(status, host, body, retryAfterMs) {
+    if (status === 429) return overpassError(`${host} is rate-limiting us (too many requests)`, true, retryAfterMs);
+    if (status === 504) return overpassError(`${host} is overloaded (gateway timeout)`, true);
+    if (status >= 500) return overpassError(`${host} is unavailable (HTTP ${status})`, true, retryAfterMs);
+    const details = overpassHtmlErrors(body);
+    if (status === 400 && details.length) {
+      return overpassError(`Overpass rejected the query: ${details.join('; ')}`, false);
+    }
+    return overpassError(`Overpass HTTP ${status}${details.length ? `: ${details.join('; ')}` : ''}`, false);
+  }
+
+  // Only the top-level remark counts: OSM elements can carry a remark=* tag
+  function overpassRemark(text) {
+    if (/^\s*</.test(text)) {
+      const root = new DOMParser().parseFromString(text, 'application/xml').documentElement;
+      const el = root && [...root.children].find(child => child.tagName === 'remark');
+      return el ? el.textContent.trim() : '';
+    }
+    try {
+      const data = JSON.parse(text);
+      return data && typeof data.remark === 'string' ? data.remark : '';
+    } catch (_) {
+      return ''; // not JSON: reported when the map is built
+    }
+  }
+
+  // A 200 response may still end in a runtime error "remark" with partial data
+  function overpassRemarkError(text) {
+    const remark = overpassRemark(text);
+    if (!remark) return null;
+    if (/timed out/i.test(remark)) {
+      return overpassError('The query timed out on the Overpass server. Try a smaller area or fewer tag filters', true);
+    }
+    if (/out of memory/i.test(remark)) {
+      return overpassError('The query ran out of memory on the Overpass server. Try a smaller area or fewer tag filters', false);
+    }
+    return overpassError(`Overpass reported: ${remark}`, false);
+  }
+
+  // Reads a response body as text, reporting download progress when streaming is available
+  async function readTextWithProgress(resp, host) {
+    if (!resp.body || !resp.body.getReader) return resp.text();
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let text = '', bytes = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytes += value.byteLength;
+      text += decoder.decode(value, { stream: true });
+      reportLoadProgress(`Downloading from ${host}… ${(bytes / 1e6).toFixed(1)} MB`);
+    }
+    return text + decoder.decode();
+  }
+
+  // One POST to one endpoint, bounded by OVERPASS_REQUEST_TIMEOUT_MS and the caller's signal
+  async function requestOverpass(endpoint, query, signal) {
+    const host = endpointHost(endpoint);
+    const attempt = new AbortController();
+    const onAbort = () => attempt.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(onAbort, OVERPASS_REQUEST_TIMEOUT_MS);
+    try {
+      const resp = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
+        body: new URLSearchParams({ data: query }).toString(),
+        signal: attempt.signal,
+      });
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => '');
+        throw describeOverpassHttpError(resp.status, host, body, parseRetryAfter(resp.headers.get('Retry-After')));
+      }
+      const text = await readTextWithProgress(resp, host);
+      const remarkError = overpassRemarkError(text);
+      if (remarkError) throw remarkError;
+      return text;
+    } catch (err) {
+      if (signal.aborted) throw abortError();
+      if (isAbortError(err)) throw overpassError(`${host} didn't answer within ${OVERPASS_REQUEST_TIMEOUT_MS / 1000} s`, true);
+      if (err.retryable !== undefined) throw err;
+      throw overpassError(`Couldn't reach ${host}`, true); // network failure, CORS, offline
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Each endpoint backs off exponentially (or per Retry-After) after a failure;
+  // every attempt goes to whichever endpoint becomes available soonest.
+  async function fetchOverpassFromNetwork(preferredEndpoint, query, signal) {
+    const endpoints = [...new Set([preferredEndpoint, ...OVERPASS_ENDPOINTS])]
+      .map(url => ({ url, failures: 0, availableAt: 0 }));
+    let lastError = null;
+    for (let attempt = 1; attempt <= OVERPASS_MAX_ATTEMPTS; attempt++) {
+      const next = endpoints.reduce((best, ep) => (ep.availableAt < best.availableAt ? ep : best));
+      const host = endpointHost(next.url);
+      const waitMs = next.availableAt - Date.now();
+      if (waitMs > 0) {
+        reportLoadProgress(`${lastError.message}. Retrying with ${host} in ${Math.ceil(waitMs / 1000)} s…`);
+        await delay(waitMs, signal);
+      }
+      reportLoadProgress(`Querying ${host} (attempt ${attempt} of ${OVERPASS_MAX_ATTEMPTS})…`);
+      try {
+        return await requestOverpass(next.url, query, signal);
+      } catch (err) {
+        if (!err.retryable) throw err;
+        lastError = err;
+        next.failures += 1;
+        const backoffMs = Math.min(OVERPASS_BACKOFF_MAX_MS, OVERPASS_BACKOFF_BASE_MS * 2 ** (next.failures - 1));
+        next.availableAt = Date.now() + Math.min(OVERPASS_BACKOFF_MAX_MS, err.retryAfterMs ?? backoffMs);
+      }
+    }
+    throw overpassError(`${lastError.message} (gave up after ${OVERPASS_MAX_ATTEMPTS} attempts on ${endpoints.length} servers)`, true);
+  }
+
+  async function loadOverpassAndStartGame(cfg) {
+    const signal = beginLoad();
+    try {
+      const query = buildOverpassQuery(cfg);
+      cfg.mapKey = overpassMapKey(cfg);
+      const { text, savedAt, isStale } = await fetchOverpassText(cfg.overpassEndpoint || DEFAULTS.overpassEndpoint, query, signal);
+      reportLoadProgress('Building the map…');
+      // Raw queries may ask for XML output; sniff rather than trust [out:json]
+      const osmData = /^\s*</.test(text)
+        ? new DOMParser().parseFromString(text, 'application/xml')
+        : JSON.parse(text);
+      const features = await featuresFromOsm(osmData);
+      if (signal.aborted) throw abortError();
+      await initializeGame(features, cfg);
+      hideConfigPanel();
+      showUI();
+      if (isStale) setStatus(`Offline: using map data saved ${new Date(savedAt).toLocaleDateString()}.`);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      pendingResume = null;
+      configError.textContent = `Failed to load Overpass data: ${err.message || err}`;
+    } finally {
+      endLoad(signal);
+    }
+  }
+
+  // --- Cleanup (imported data) ---
+  // Raw OSM data often splits one building into several ways, names several
+  // polygons alike ("Parking") and has slivers too small to click.
+  // cleanupFeatures and cleanupTargets return play-ready copies and a report
+  // of what changed; the source features stay as loaded (the editor works on those).
+  const MERGE_GAP_METERS = 3; // same-name polygons closer than this are parts of one region
+  const MIN_PIXEL_AREA = 16; // polygons smaller than this (4×4 px) at the starting zoom are enlarged
+  const QUALIFIER_KEYS = ['ref', 'addr:street', 'operator']; // tried in order to tell duplicates apart
+  // Last result: { features, key, output, mergedParts: Map(merged feature -> [parts]),
+  //   partsOf: Map(played feature -> [source features]),
+  //   report: { merged: [{ label, parts }], enlarged: [label], dropped: [label], renamed: [{ from, to }] } }
+  let cleanup = { features: null, key: '', output: [], mergedParts: new Map(), partsOf: new Map(), report: null };
+
+  // Presets and map files are usually curated already, so by default only
+  // Overpass results are cleaned up
+  function isCleanupOn(cfg) {
+    const mode = cfg.cleanup || DEFAULTS.cleanup;
+    if (mode === 'auto') return isOverpassSource(cfg);
+    return mode === 'on';
+  }
+
+  function isOverpassSource(cfg) {
+    const kind = (cfg.mapKey || '').split(':')[0];
+    return kind !== 'preset' && kind !== 'file' && !cfg.dataUrl;
+  }
+
+  function polygonParts(geometry) {
+    return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  }
+
+  function eachCoordinate(coords, fn) {
+    if (typeof coords[0] === 'number') fn(coords);
+    else coords.forEach(c => eachCoordinate(c, fn));
+  }
+
+  function geometryBounds(geometry) {
+    const b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    eachCoordinate(geometry.coordinates, ([x, y]) => {
+      b.minX = Math.min(b.minX, x); b.maxX = Math.max(b.maxX, x);
+      b.minY = Math.min(b.minY, y); b.maxY = Math.max(b.maxY, y);
+    });
+    return b;
+  }
+
+  // Whether two polygons share (or nearly share) a vertex
+  function polygonsTouch(a, b) {
+    const ba = geometryBounds(a.geometry), bb = geometryBounds(b.geometry);
+    const metersPerLat = 110540;
+    const metersPerLng = 111320 * Math.cos(((ba.minY + ba.maxY) / 2) * Math.PI / 180);
+    const padX = MERGE_GAP_METERS / metersPerLng, padY = MERGE_GAP_METERS / metersPerLat;
+    if (ba.minX > bb.maxX + padX || bb.minX > ba.maxX + padX || ba.minY > bb.maxY + padY || bb.minY > ba.maxY + padY) {
+      return false;
+    }
+    const vertices = (f) => polygonParts(f.geometry).flatMap(([outer]) => outer || []);
+    const vb = vertices(b);
+    return vertices(a).some(([x1, y1]) => vb.some(([x2, y2]) =>
+      Math.hypot((x1 - x2) * metersPerLng, (y1 - y2) * metersPerLat) <= MERGE_GAP_METERS));
+  }
+
+  // Same label, same group and touching: one MultiPolygon under the first part's id and properties
+  function mergeTouchingParts(features, cfg, partsOf) {
+    const buckets = new Map();
+    features.forEach(f => {
+      if (geometryKind(f) !== 'polygon') return;
+      const key = JSON.stringify([getPromptLabel(f), sourceGroup(f, cfg)]);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(f);
+    });
+    const leaderOf = new Map(); // feature -> first feature of its merged component
+    for (const members of buckets.values()) {
+      const parent = members.map((_, i) => i);
+      const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const ri = find(i), rj = find(j);
+          if (ri !== rj && polygonsTouch(members[i], members[j])) parent[Math.max(ri, rj)] = Math.min(ri, rj); // root stays the earliest part
+        }
+      }
+      members.forEach((f, i) => leaderOf.set(f, members[find(i)]));
+    }
+    const components = new Map(); // leader -> parts
+    for (const [f, leader] of leaderOf) {
+      if (!components.has(leader)) components.set(leader, []);
+      components.get(leader).push(f);
+    }
+    const out = [];
+    for (const f of features) {
+      const leader = leaderOf.get(f);
+      if (leader && leader !== f) continue;
+      const parts = leader ? components.get(leader) : [f];
+      if (parts.length === 1) {
+        out.push(f);
+        continue;
+      }
+      const merged = {
+        ...f,
+        geometry: { type: 'MultiPolygon', coordinates: parts.flatMap(p => polygonParts(p.geometry)) },
+      };
+      partsOf.set(merged, parts);
+      out.push(merged);
+    }
+    return out;
+  }
+
+  function pixelArea(geometry, zoom) {
+    const area = (ring) => Math.abs(polygonArea(ring.map(([lng, lat]) => {
+      const p = map.project([lat, lng], zoom);
+      return [p.x, p.y];
+    })));
+    return polygonParts(geometry).reduce((sum, [outer, ...holes]) =>
+      sum + (outer ? area(outer) : 0) - holes.reduce((h, ring) => h + area(ring), 0), 0);
+  }
+
+  // The zoom initializeGame will open these features at
+  function startingZoom(features, cfg) {
+    if (hasFixedView(cfg)) return cfg.zoom || DEFAULTS.zoom;
+    const bounds = L.latLngBounds([]);
+    features.forEach(f => eachCoordinate(f.geometry.coordinates, ([lng, lat]) => bounds.extend([lat, lng])));
+    return bounds.isValid() ? map.getBoundsZoom(bounds, false, L.point(40, 40)) : (cfg.zoom || DEFAULTS.zoom);
+  }
+
+  // Polygons too small to click at the starting zoom are scaled up around
+  // their centroid; ones with no area at all are dropped
+  function enlargeTinyPolygons(features, cfg, partsOf, report) {
+    const zoom = startingZoom(features, cfg);
+    const out = [];
+    for (const f of features) {
+      const area = geometryKind(f) === 'polygon' ? pixelArea(f.geometry, zoom) : Infinity;
+      if (area >= MIN_PIXEL_AREA) {
+        out.push(f);
+        continue;
+      }
+      const c = featureCentroid(f);
+      if (!c || !(area > 0)) {
+        report.dropped.push(getPromptLabel(f));
+        continue;
+      }
+      const k = Math.sqrt(MIN_PIXEL_AREA / area);
+      const scale = ([x, y]) => [c.lng + (x - c.lng) * k, c.lat + (y - c.lat) * k];
+      const coordinates = polygonParts(f.geometry).map(rings => rings.map(ring => ring.map(scale)));
+      const enlarged = {
+        ...f,
+        geometry: f.geometry.type === 'Polygon' ? { type: 'Polygon', coordinates: coordinates[0] } : { type: 'MultiPolygon', coordinates },
+      };
+      partsOf.set(enlarged, partsOf.get(f) || [f]);
+      report.enlarged.push(getPromptLabel(f));
+      out.push(enlarged);
+    }
+    return out;
+  }
+
+  // "(ref)", "(street)" or "(operator)" when that tells every duplicate apart,
+  // else the compass direction from the duplicates' middle
+  function duplicateQualifiers(dupes) {
+    for (const key of QUALIFIER_KEYS) {
+      const values = dupes.map(f => propertyText((f.properties || {})[key]));
+      if (values.every(Boolean) && new Set(values).size === values.length) return values;
+    }
+    const points = dupes.map(f => featureCentroid(f) || { lat: 0, lng: 0 });
+    const center = meanPoint(points);
+    const directions = points.map(p => compassDirection(center, p));
+    const seen = new Map();
+    const ranked = dupes.map((_, i) => i).sort((a, b) => compareNorthWest(points[a], points[b]));
+    const qualifiers = [];
+    for (const i of ranked) {
+      const clash = directions.filter(d => d === directions[i]).length > 1;
+      seen.set(directions[i], (seen.get(directions[i]) || 0) + 1);
+      qualifiers[i] = clash ? `${directions[i]} ${seen.get(directions[i])}` : directions[i];
+    }
+    return qualifiers;
+  }
+
+  // Gives duplicate names an explicit label. Lines are left alone: a street
+  // split into several ways is still one street. So are features given an
+  // answer class, which are meant to be interchangeable.
+  function disambiguateNames(features, partsOf, report) {
+    const byLabel = new Map();
+    features.forEach(f => {
+      if (geometryKind(f) === 'line' || propertyText((f.properties || {})[ANSWER_CLASS_PROPERTY])) return;
+      const label = getPromptLabel(f);
+      if (!byLabel.has(label)) byLabel.set(label, []);
+      byLabel.get(label).push(f);
+    });
+    const renamed = new Map();
+    for (const [label, dupes] of byLabel) {
+      if (dupes.length < 2) continue;
+      const qualifiers = duplicateQualifiers(dupes);
+      dupes.forEach((f, i) => renamed.set(f, `${label} (${qualifiers[i]})`));
+    }
+    return features.map(f => {
+      if (!renamed.has(f)) return f;
+      const copy = { ...f, properties: { ...(f.properties || {}), [LABEL_PROPERTY]: renamed.get(f) } };
+      partsOf.set(copy, partsOf.get(f) || [f]);
+      report.renamed.push({ from: getPromptLabel(f), to: renamed.get(f) });
+      return copy;
+    });
+  }
+
+  // Merging runs on all playable features, before chunking, so a building's
+  // parts end up in one chunk. Returns a cleanup record (the cached one while
+  // the data and the settings that affect it stay the same); initializeGame
+  // stores it once the game can start.
+  function cleanupFeatures(features, cfg) {
+    const key = `${cfg.includeLines ? 1 : 0}${cfg.includePoints ? 1 : 0}:${cfg.promptField || ''}:${cfg.groupProperty || ''}`;
+    if (cleanup.features === features && cleanup.key === key) return cleanup;
+    const partsOf = new Map();
+    const playable = features.filter(f => f && f.geometry && isKindEnabled(geometryKind(f), cfg) && getPromptLabel(f) !== '');
+    const output = mergeTouchingParts(playable, cfg, partsOf);
+    return { features, key, output, mergedParts: partsOf, partsOf, report: null };
+  }
+
+  // Enlarging and renaming only look at the features being played: a region
+  // is measured at the zoom its own subset opens at, and only duplicates
+  // within the subset need telling apart
+  function cleanupTargets(targets, cfg, merged) {
+    const partsOf = new Map(merged.mergedParts);
+    const report = {
+      merged: targets.filter(f => partsOf.has(f)).map(f => ({ label: getPromptLabel(f), parts: partsOf.get(f).length })),
+      enlarged: [], dropped: [], renamed: [],
+    };
+    let output = enlargeTinyPolygons(targets, cfg, partsOf, report);
+    output = disambiguateNames(output, partsOf, report);
+    return { features: output, partsOf, report };
+  }
+
+  function renderCleanupReport(report) {
+    const items = !report ? [] : [
+      ...report.merged.map(m => `Merged ${m.parts} parts of “${m.label}”`),
+      ...report.enlarged.map(label => `Enlarged “${label}” (too small to click)`),
+      ...report.dropped.map(label => `Dropped “${label}” (no area)`),
+      ...report.renamed.map(r => `Renamed “${r.from}” → “${r.to}”`),
+    ];
+    cleanupReportEl.hidden = !items.length;
+    if (!items.length) return;
+    cleanupReportEl.querySelector('summary').textContent = 'Data cleanup: ' + [
+      report.merged.length ? `${report.merged.length} merged` : '',
+      report.enlarged.length ? `${report.enlarged.length} enlarged` : '',
+      report.dropped.length ? `${report.dropped.length} dropped` : '',
+      report.renamed.length ? `${report.renamed.length} renamed` : '',
+    ].filter(Boolean).join(', ');
+    const list = cleanupReportEl.querySelector('ul');
+    list.innerHTML = '';
+    items.forEach(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    });
+  }
+
+  // --- Zones (groups of regions) ---
+  // A feature's zone is its chunk on chunked maps, else its source group
+  function featureGroup(feature, cfg, assignment = chunks) {
+    return isChunked(cfg) ? (assignment.byFeature.get(feature) || '') : sourceGroup(feature, cfg);
+  }
+
+  // The georecall:group property, or the property named by the preset's
+  // groupProperty / ?groupBy= (e.g. "state" on a counties map)
+  function sourceGroup(feature, cfg) {
+    const props = (feature && feature.properties) || {};
+    return propertyText(props[GROUP_PROPERTY]) || (cfg && cfg.groupProperty ? propertyText(props[cfg.groupProperty]) : '');
+  }
+
+  // The zone stage quizzes the zones themselves; picking one zone (cfg.group) plays its members
+  function isZoneStage(cfg) {
+    return !!cfg && (cfg.zoneMode || DEFAULTS.zoneMode) !== 'off' && !cfg.group;
+  }
+
+  function zoneFeature(name, geometry, properties) {
+    return { type: 'Feature', id: `zone/${name}`, properties: { ...properties, name, [LABEL_PROPERTY]: name }, geometry };
+  }
+
+  // Polygons of a separate zone layer (preset "zones"), by URL
+  const zoneLayers = new Map();
+
+  function zoneLayerName(zone) {
+    const props = zone.properties || {};
+    return propertyText(props[LABEL_PROPERTY]) || propertyText(props.name);
+  }
+
+  function geometryContains(geometry, latlng) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+    const pt = { x: latlng.lng, y: latlng.lat };
+    const toPoints = (ring) => ring.map(([x, y]) => ({ x, y }));
+    return polygons.some(([outer, ...holes]) => outer && pointInRing(pt, toPoints(outer)) &&
+      !holes.some(hole => pointInRing(pt, toPoints(hole))));
+  }
+
+  // Loads the zone layer once; features without a group join the zone their centroid falls in
+  async function applyZoneLayer(features, cfg, signal) {
+    if (!zoneLayers.has(cfg.zonesUrl)) {
+      const resp = await fetch(cfg.zonesUrl, { mode: 'cors', signal });
+      if (!resp.ok) throw new Error(`zone layer: HTTP ${resp.status}`);
+      const zones = await convertToFeatures(createMapSource(cfg.zonesUrl, await resp.arrayBuffer()));
+      zoneLayers.set(cfg.zonesUrl, zones.filter(z => geometryKind(z) === 'polygon' && zoneLayerName(z)));
+    }
+    const zones = zoneLayers.get(cfg.zonesUrl);
+    return features.map(f => {
+      if (!f || !f.geometry || sourceGroup(f, cfg)) return f;
+      const c = featureCentroid(f);
+      const zone = c && zones.find(z => geometryContains(z.geometry, c));
+      return zone ? { ...f, properties: { ...(f.properties || {}), [GROUP_PROPERTY]: zoneLayerName(zone) } } : f;
+    });
+  }
+
+  // One target per zone: the zone layer's polygon when there is one, otherwise
+  // a MultiPolygon of the zone's member polygons
+  function buildZoneFeatures(features, cfg, assignment = chunks) {
+    const members = new Map(); // zone name -> polygon coordinates
+    for (const f of features) {
+      const name = f && f.geometry ? featureGroup(f, cfg, assignment) : '';
+      if (!name) continue;
+      if (!members.has(name)) members.set(name, []);
+      if (f.geometry.type === 'Polygon') members.get(name).push(f.geometry.coordinates);
+      else if (f.geometry.type === 'MultiPolygon') members.get(name).push(...f.geometry.coordinates);
+    }
+    const layer = cfg.zonesUrl && zoneLayers.get(cfg.zonesUrl);
+    if (layer) {
+      return layer.filter(z => members.has(zoneLayerName(z)))
+        .map(z => zoneFeature(zoneLayerName(z), z.geometry, z.properties || {}));
+    }
+    return [...members].filter(([, polygons]) => polygons.length)
+      .map(([name, polygons]) => zoneFeature(name, { type: 'MultiPolygon', coordinates: polygons }, {}));
+  }
+
+  function describeZoneStage(cfg) {
+    const count = state.order.length;
+    return cfg.zoneMode === 'zones-then-regions'
+      ? `First find the ${count} zones, then the regions inside each one.`
+      : `Find the ${count} zones.`;
+  }
+
+  // --- Chunks (automatic groups for big maps) ---
+  // Chunks are computed groups, so subsets, zone games and "Next" work on
+  // them too. Assignments are deterministic: the same data always gives the
+  // same chunks, which keeps mastery and shared links meaningful.
+  const CHUNK_SIZE = 15; // regions per chunk, roughly
+  const CHUNK_MIN_TAG_VALUE = 3; // smaller tag values are pooled into "other"
+  const CHUNK_MASTERY = 0.8; // first-try share that unlocks the next chunk
+  const KMEANS_ITERATIONS = 25;
+  // Current assignment: { features, key, byFeature: Map(feature -> name), names: [name] in play order }
+  let chunks = { features: null, key: '', byFeature: new Map(), names: [] };
+
+  function isChunked(cfg) {
+    return !!cfg && (cfg.chunking || DEFAULTS.chunking) !== 'off';
+  }
+
+  function meanPoint(points) {
+    const n = points.length || 1;
+    return {
+      lat: points.reduce((sum, p) => sum + p.lat, 0) / n,
+      lng: points.reduce((sum, p) => sum + p.lng, 0) / n,
+    };
+  }
+
+  // North to south, then west to east
+  function compareNorthWest(a, b) {
+    return (b.lat - a.lat) || (a.lng - b.lng);
+  }
+
+  // Returns a cluster index per point. Centers start spread along the
+  // north-to-south order, so there's no randomness to seed.
+  function kMeans(points, k) {
+    const scale = Math.cos(meanPoint(points).lat * Math.PI / 180);
+    const dist = (p, c) => Math.hypot((p.lng - c.lng) * scale, p.lat - c.lat);
+    const sorted = [...points].sort(compareNorthWest);
+    let centers = Array.from({ length: k }, (_, c) => sorted[Math.floor((c + 0.5) * points.length / k)]);
+    const assignment = new Array(points.length).fill(-1);
+    for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+      let changed = false;
+      points.forEach((p, i) => {
+        let best = 0;
+        centers.forEach((c, ci) => { if (dist(p, c) < dist(p, centers[best])) best = ci; });
+        if (assignment[i] !== best) { assignment[i] = best; changed = true; }
+      });
+      if (!changed) break;
+      centers = centers.map((c, ci) => {
+        const members = points.filter((_, i) => assignment[i] === ci);
+        return members.length ? meanPoint(members) : c;
+      });
+    }
+    return assignment;
+  }
+
+  // Splits items ({ feature, point }) into k-means clusters of about
+  // CHUNK_SIZE. Outliers make k-means lopsided, so oversized clusters are
+  // split again and tiny ones join their nearest neighbour.
+  function splitCluster(items) {
+    const k = Math.round(items.length / CHUNK_SIZE);
+    if (k < 2) return [items];
+    const assignment = kMeans(items.map(it => it.point), k);
+    const parts = Array.from({ length: k }, (_, ci) => items.filter((_, i) => assignment[i] === ci))
+      .filter(part => part.length);
+    if (parts.length < 2) return [items];
+    return parts.flatMap(part => (part.length > 1.5 * CHUNK_SIZE ? splitCluster(part) : [part]));
+  }
+
+  // Returns [{ items, point }], north to south
+  function spatialClusters(items) {
+    const clusters = splitCluster(items).map(members => ({ items: members, point: meanPoint(members.map(it => it.point)) }));
+    const scale = Math.cos(meanPoint(items.map(it => it.point)).lat * Math.PI / 180);
+    const dist = (a, b) => Math.hypot((a.lng - b.lng) * scale, a.lat - b.lat);
+    for (;;) {
+      const smallest = clusters.reduce((min, c) => (!min || c.items.length < min.items.length ? c : min), null);
+      if (clusters.length < 2 || smallest.items.length >= CHUNK_SIZE / 3) break;
+      clusters.splice(clusters.indexOf(smallest), 1);
+      const nearest = clusters.reduce((best, c) => (dist(c.point, smallest.point) < dist(best.point, smallest.point) ? c : best));
+      nearest.items.push(...smallest.items);
+      nearest.point = meanPoint(nearest.items.map(it => it.point));
+    }
+    return clusters.sort((a, b) => compareNorthWest(a.point, b.point));
+  }
+
+  // "<prefix> <n> (<direction>)", numbered north to south; a single cluster keeps the bare prefix
+  function clusterItems(items, prefix, center) {
+    const clusters = spatialClusters(items);
+    if (clusters.length === 1) return [{ name: prefix, items }];
+    return clusters.map((c, i) => ({ name: `${prefix} ${i + 1} (${compassDirection(center, c.point)})`, items: c.items }));
+  }
+
+  // Rows of equal counts north to south, each cut into equal columns west to
+  // east, named like spreadsheet cells ("Grid B3")
+  function gridItems(items) {
+    const rowCount = Math.max(1, Math.round(Math.sqrt(items.length / CHUNK_SIZE)));
+    const byLat = [...items].sort((a, b) => compareNorthWest(a.point, b.point));
+    const perRow = Math.ceil(byLat.length / rowCount);
+    const cells = [];
+    for (let r = 0; r * perRow < byLat.length; r++) {
+      const row = byLat.slice(r * perRow, (r + 1) * perRow).sort((a, b) => a.point.lng - b.point.lng);
+      const colCount = Math.max(1, Math.round(row.length / CHUNK_SIZE));
+      const perCol = Math.ceil(row.length / colCount);
+      for (let c = 0; c * perCol < row.length; c++) {
+        cells.push({ name: `Grid ${String.fromCharCode(65 + r)}${c + 1}`, items: row.slice(c * perCol, (c + 1) * perCol) });
+      }
+    }
+    return cells;
+  }
+
+  // One chunk per tag value; big values are split into spatial clusters
+  function tagItems(items, tag, center) {
+    const byValue = new Map();
+    for (const it of items) {
+      const value = propertyText((it.feature.properties || {})[tag]) || 'other';
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(it);
+    }
+    const other = [];
+    const groups = [];
+    for (const [value, members] of [...byValue].sort((a, b) => b[1].length - a[1].length)) {
+      if (value === 'other' || members.length < CHUNK_MIN_TAG_VALUE) other.push(...members);
+      else groups.push([`${tag}=${value}`, members]);
+    }
+    if (other.length) groups.push([`${tag}: other`, other]);
+    return groups.flatMap(([name, members]) => clusterItems(members, name, center));
+  }
+
+  // Assigns every playable feature to a chunk (the cached assignment while
+  // the feature list and method stay the same); initializeGame stores it once
+  // the game can start. cfg.chunkWithin limits chunking to one source group.
+  function assignChunks(features, cfg) {
+    const key = `${cfg.chunking}:${cfg.chunking === 'tag' ? (cfg.chunkTag || DEFAULTS.chunkTag) : ''}:` +
+      `${cfg.includeLines ? 1 : 0}${cfg.includePoints ? 1 : 0}:${cfg.promptField || ''}:${cfg.chunkWithin || ''}`;
+    if (chunks.features === features && chunks.key === key) return chunks;
+    const items = features
+      .filter(f => f && f.geometry && isKindEnabled(geometryKind(f), cfg) && getPromptLabel(f) !== '')
+      .filter(f => !cfg.chunkWithin || sourceGroup(f, cfg) === cfg.chunkWithin)
+      .map(feature => ({ feature, point: featureCentroid(feature) }))
+      .filter(it => it.point);
+    const center = meanPoint(items.map(it => it.point));
+    const groups = cfg.chunking === 'grid' ? gridItems(items)
+      : cfg.chunking === 'tag' ? tagItems(items, cfg.chunkTag || DEFAULTS.chunkTag, center)
+      : spatialClusters(items).map((c, i) => ({ name: `Cluster ${i + 1} (${compassDirection(center, c.point)})`, items: c.items }));
+    const byFeature = new Map();
+    groups.forEach(g => g.items.forEach(it => byFeature.set(it.feature, g.name)));
+    return { features, key, byFeature, names: groups.map(g => g.name) };
+  }
+
+  function chunkSize(name) {
+    let n = 0;
+    for (const chunk of chunks.byFeature.values()) if (chunk === name) n += 1;
+    return n;
+  }
+
+  // Best first-try share per chunk, kept in the map's learning profile
+  function chunkBest(name, profile = state.profile) {
+    const best = profile && profile.chunks && profile.chunks[name];
+    return Number.isFinite(best) ? best : 0;
+  }
+
+  function isChunkMastered(name, profile = state.profile) {
+    return chunkBest(name, profile) >= CHUNK_MASTERY;
+  }
+
+  function recordChunkResult(name) {
+    if (!state.profile || !state.maxScore) return;
+    // Prompts (one per answer class) found on the first try; partial credit doesn't count
+    const firstTries = [...state.resultsById.values()].filter(res => res.attempts === 0 && !res.gaveUp).length;
+    const share = firstTries / state.maxScore;
+    if (!state.profile.chunks) state.profile.chunks = {};
+    if (share <= chunkBest(name)) return;
+    state.profile.chunks[name] = Math.round(share * 1000) / 1000;
+    saveProfile(state.config.mapKey, state.profile);
+  }
+
+  function describeChunkGate(name) {
+    if (isChunkMastered(name)) return 'Chunk mastered.';
+    return `Get ${Math.round(CHUNK_MASTERY * 100)}% on the first try to unlock the next chunk.`;
+  }
+
+  function describeChunk(cfg) {
+    const position = chunks.names.indexOf(cfg.group) + 1;
+    return `${cfg.group}: chunk ${position} of ${chunks.names.length} (${state.order.length} regions). ${describeChunkGate(cfg.group)}`;
+  }
+
+  function renderChunkPicker(cfg) {
+    chunkPicker.hidden = !isChunked(cfg) || !cfg.group;
+    if (chunkPicker.hidden) return;
+    chunkSelect.innerHTML = '';
+    chunks.names.forEach((name, i) => {
+      const option = document.createElement('option');
+      option.value = name;
+      const best = chunkBest(name);
+      const mark = isChunkMastered(name) ? ' ✓' : (best ? ` ${Math.round(best * 100)}%` : '');
+      option.textContent = `${i + 1}. ${name} (${chunkSize(name)})${mark}`;
+      chunkSelect.appendChild(option);
+    });
+    chunkSelect.value = cfg.group;
+  }
+
+  // What "Next" plays: the next queued zone, or the next chunk once this one is mastered
+  function nextStage(cfg) {
+    if (!cfg) return null;
+    if (cfg.zoneQueue && cfg.zoneQueue.length) return { group: cfg.zoneQueue[0], zoneQueue: cfg.zoneQueue.slice(1) };
+    if (!isChunked(cfg) || !cfg.group || !isChunkMastered(cfg.group)) return null;
+    const next = chunks.names[chunks.names.indexOf(cfg.group) + 1];
+    return next ? { group: next } : null;
+  }
+
+  async function playGroup(stage) {
+    nextZoneBtn.hidden = true;
+    resultsEl.hidden = true;
+    clearLabels();
+    try {
+      await initializeGame(state.sourceFeatures, { ...state.config, zoneQueue: undefined, ...stage, seed: undefined, challenge: undefined });
+      if (!isChunked(state.config)) setStatus(`${stage.group}: ${state.order.length} regions.`);
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message || String(err));
+    }
+  }
+
+  // After a zone stage or a mastered chunk
+  function playNextZone() {
+    const stage = nextStage(state.config);
+    if (stage) playGroup(stage);
+  }
+
+  async function initializeGame(features, cfg) {
+    ensureMapInitialized();
+    // Everything that can fail is checked before the current game (and the
+    // cleanup and chunk caches it uses) is torn down, so it works out into locals
+    const profile = loadProfile(cfg.mapKey);
+    const zoneStage = isZoneStage(cfg);
+    const merged = isCleanupOn(cfg) ? cleanupFeatures(features, cfg) : null;
+    const playable = merged ? merged.output : features;
+    let { group, chunkWithin } = cfg;
+    let assignment = chunks;
+    // Chunked maps start with the first chunk not yet mastered (unless one was picked)
+    if (isChunked(cfg)) {
+      // A preset's own subset (e.g. East campus) is chunked on its own
+      if (group && !chunkWithin && playable.some(f => sourceGroup(f, cfg) === group)) chunkWithin = group;
+      assignment = assignChunks(playable, { ...cfg, chunkWithin });
+      if (!zoneStage && !assignment.names.includes(group)) {
+        group = assignment.names.find(name => !isChunkMastered(name, profile)) || assignment.names[0];
+      }
+    }
+
+    // Filter to the enabled geometry kinds (polygons, plus lines/points when
+    // switched on) with a non-empty prompt label, and to one named subset
+    // when the config asks for it. The zone stage plays the subsets themselves.
+    let targets = (zoneStage ? buildZoneFeatures(playable, cfg, assignment) : playable).filter(f => {
+      if (!f || !f.geometry) return false;
+      if (group && featureGroup(f, cfg, assignment) !== group) return false;
+      if (!isKindEnabled(geometryKind(f), cfg)) return false;
+      return getPromptLabel(f) !== '';
+    });
+    const cleaned = merged && !zoneStage ? cleanupTargets(targets, cfg, merged) : null;
+    if (cleaned) targets = cleaned.features;
+    if (!targets.length && zoneStage) {
+      throw new Error('This map has no zones. Group its regions in the map editor, or pick a preset with groups.');
+    }
+    if (!targets.length && group) throw new Error(`No playable features in group "${group}"`);
+    if (!targets.length) throw new Error(describeUnusableFeatures(features));
+    if (cfg.promptOrder === 'drill' && !canDrill(targets, profile)) throw new Error(NO_DRILL_MESSAGE);
+
+    clearExistingLayer();
+    Object.assign(cfg, { group, chunkWithin });
+    chunks = assignment;
+    if (merged) cleanup = cleaned ? { ...merged, partsOf: cleaned.partsOf, report: cleaned.report } : merged;
+    state.config = cfg;
+    applyBaseMapDifficulty(currentDifficulty());
+    state.resultsById.clear();
+    state.labels = [];
+    state.labeledIds.clear();
+    state.attemptsForCurrent = 0;
+    state.score = 0;
+    state.profile = profile;
+    state.sourceFeatures = features;
+    renderCleanupReport(cleaned && cleaned.report);
+    state.features = targets;
+    state.kindById.clear();
+    targets.forEach((f, idx) => state.kindById.set(getFeatureId(f, idx), geometryKind(f)));
+
+    buildAnswerClasses(targets);
+
+    // Build order and max score
+    state.seed = cfg.seed || randomSeed();
+    state.order = buildPromptOrder(targets);
+    updateActiveIds();
+    renderChunkPicker(cfg);
+    if (zoneStage && cfg.zoneMode === 'zones-then-regions') {
+      cfg.zoneQueue = state.order.map(idx => featureGroup(targets[idx], cfg) || getPromptLabel(targets[idx]));
+    }
+    state.targetIndex = 0;
+    state.maxScore = state.order.length; // binary scoring: 1 for first try only
+    updateScoreDisplay();
+    if (exportBtn) exportBtn.hidden = false;
+    editBtn.hidden = false;
+    offlineBtn.hidden = !hasCacheStorage();
+    offlineBtn.textContent = 'Save offline';
+
+    // Create the GeoJSON layer
+    geoLayer = L.geoJSON(targets, {
+      style: function (feature) {
+        // Default style; if we already have a result, use it
+        const idx = targets.indexOf(feature);
+        const id = getFeatureId(feature, idx);
         return persistentStyleForId(id);
       },
+      pointToLayer: pointToCircleMarker,
+      onEachFeature: function (feature, layer) {
+        const idx = targets.indexOf(feature);
+        const id = getFeatureId(feature, idx);
+        state.idToLayer.set(id, layer);
+        layer.on('click', (e) => {
+          L.DomEvent.stopPropagation(e); // don't also run the map-level line/point hit test
+          if (isTouchEvent(e)) handleTap(e.containerPoint, e.latlng);
+          else handleBuildingClick(feature, layer, id);
+        });
+      }
+    }).addTo(map);
+
+    // View
+    if (hasFixedView(cfg)) {
+      map.setView([cfg.center.lat, cfg.center.lng], cfg.zoom || DEFAULTS.zoom);
+    } else {
+      try {
+        map.fitBounds(geoLayer.getBounds(), { padding: [20, 20] });
+      } catch (_) {
+        map.setView([0, 0], cfg.zoom || DEFAULTS.zoom);
+      }
+    }
+
+    const resume = pendingResume;
+    pendingResume = null;
+    if (resume && resume.cfg.mapKey === cfg.mapKey) return restoreSavedGame(resume);
+
+    // Round 1
+    startGameClock();
+    startRound();
+    if (cfg.promptOrder === 'review') setStatus(describeReviewQueue(targets));
+    if (cfg.promptOrder === 'drill') setStatus(describeDrill());
+    if (zoneStage) setStatus(describeZoneStage(cfg));
+    else if (isChunked(cfg)) setStatus(describeChunk(cfg));
+  }
+
+  function hasFixedView(cfg) {
+    return !!cfg.center && Number.isFinite(cfg.center.lat) && Number.isFinite(cfg.center.lng);
+  }
+
+  function downloadGeoJSON(features, filename) {
+    const fc = { type: 'FeatureCollection', features: features || [] };
+    downloadText(JSON.stringify(fc, null, 2), 'application/geo+json', filename);
+  }
+
+  function downloadText(text, type, filename) {
+    try {
+      const blob = new Blob([text], { type });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.download = filename;
+      a.href = url;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error('Export failed', e);
+    }
+  }
+
+  function exportBaseName() {
+    return (state.config && state.config.relationId) ? `rel${state.config.relationId}` : 'data';
+  }
+
+  function exportCurrentGeoJSON() {
+    downloadGeoJSON(state.features, `mapmem-${exportBaseName()}.geojson`);
+  }
+
+  // --- Results review (end of game) ---
+  // One row per prompt in play order; sortable by any column. Rows zoom the
+  // map to their feature.
+  const RESULT_COLUMNS = [
+    { key: 'order', label: '#' },
+    { key: 'label', label: 'Prompt' },
+    { key: 'attempts', label: 'Misses' },
+    { key: 'outcome', label: 'Result' },
+    { key: 'timeMs', label: 'Time' },
+    { key: 'clickedInstead', label: 'Clicked instead' },
+  ];
+  // Sort order for the Result column, best first
+  const OUTCOME_RANK = { correct: 0, revealed: 1, skipped: 2, missed: 3, 'not reached': 4 };
+  const resultsView = { sortKey: 'order', ascending: true };
+
+  function resultOutcome(res) {
+    if (!res) return 'not reached';
+    if (res.gaveUp) return 'skipped';
+    if (res.failed) return 'missed';
+    if (res.attempts >= 3) return 'revealed';
+    return 'correct';
+  }
+
+  function buildResultRows() {
+    const labelById = new Map(state.features.map((f, idx) => {
+      const id = getFeatureId(f, idx);
+      return [id, getPromptLabel(f, id)];
+    }));
+    return state.order.map((idx, i) => {
+      const id = getFeatureId(state.features[idx], idx);
+      const res = state.resultsById.get(id);
+      const clicked = res && res.wrongIds ? [...new Set(res.wrongIds)].map(w => labelById.get(w) || w) : [];
+      const typed = res && res.wrongAnswers ? res.wrongAnswers.map(t => `“${t}”`) : [];
+      return {
+        order: i + 1,
+        id,
+        label: labelById.get(id),
+        // skips record attempts: 2 for scoring; show the misses actually made
+        attempts: !res ? null : res.gaveUp ? (res.wrongIds || []).length + (res.wrongAnswers || []).length : res.attempts,
+        outcome: resultOutcome(res),
+        timeMs: res && Number.isFinite(res.timeMs) ? res.timeMs : null,
+        points: res ? res.points : 0,
+        clickedInstead: [...clicked, ...typed],
+      };
+    });
+  }
+
+  function compareResultRows(a, b, key) {
+    const value = (row) => {
+      if (key === 'outcome') return OUTCOME_RANK[row.outcome];
+      if (key === 'clickedInstead') return row.clickedInstead.length || null;
+      return row[key];
+    };
+    const va = value(a), vb = value(b);
+    if (va === vb) return a.order - b.order;
+    if (va === null || va === undefined) return 1; // blanks last either way
+    if (vb === null || vb === undefined) return -1;
+    const order = typeof va === 'string' ? va.localeCompare(vb, undefined, { numeric: true }) : va - vb;
+    return resultsView.ascending ? order : -order;
+  }
+
+  function renderResultsTable() {
+    const rows = buildResultRows().sort((a, b) => compareResultRows(a, b, resultsView.sortKey));
+    resultsTable.innerHTML = '';
+    const head = document.createElement('tr');
+    for (const col of RESULT_COLUMNS) {
+      const th = document.createElement('th');
+      th.textContent = col.label;
+      th.scope = 'col';
+      th.tabIndex = 0;
+      if (col.key === resultsView.sortKey) th.setAttribute('aria-sort', resultsView.ascending ? 'ascending' : 'descending');
+      th.addEventListener('click', () => sortResultsBy(col.key));
+      th.addEventListener('keydown', (e) => { if (e.key === 'Enter') sortResultsBy(col.key); });
+      head.appendChild(th);
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(head);
+    const tbody = document.createElement('tbody');
+    for (const row of rows) {
+      const tr = document.createElement('tr');
+      tr.className = `result-${row.outcome.replace(' ', '-')}`;
+      tr.tabIndex = 0;
+      const cells = [
+        row.order,
+        row.label,
+        row.attempts === null ? '' : row.attempts,
+        row.outcome,
+        row.timeMs === null ? '' : formatDuration(row.timeMs),
+        row.clickedInstead.join(', '),
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tr.addEventListener('click', () => zoomToFeature(row.id));
+      tr.addEventListener('keydown', (e) => { if (e.key === 'Enter') zoomToFeature(row.id); });
+      tbody.appendChild(tr);
+    }
+    resultsTable.append(thead, tbody);
+  }
+
+  function sortResultsBy(key) {
+    resultsView.ascending = resultsView.sortKey === key ? !resultsView.ascending : true;
+    resultsView.sortKey = key;
+    renderResultsTable();
+  }
+
+  function showResults() {
+    const rows = buildResultRows();
+    const count = (outcome) => rows.filter(r => r.outcome === outcome).length;
+    const firstTry = rows.filter(r => r.outcome === 'correct' && r.attempts === 0).length;
+    resultsSummary.textContent = `Score ${formatScore(state.score)} / ${state.maxScore} in ${formatDuration(state.lastRunMs)}. ` +
+      `First try: ${firstTry}, after misses: ${count('correct') - firstTry}, revealed: ${count('revealed')}, ` +
+      `skipped: ${count('skipped')}` + (count('not reached') ? `, not reached: ${count('not reached')}.` : '.');
+    replayMissedBtn.disabled = !missedFeatures().length;
+    const mastered = isChoiceMode() ? masteredFeatures().length : 0;
+    graduateBtn.hidden = !mastered;
+    graduateBtn.textContent = `Find ${mastered} on the map`;
+    renderResultsTable();
+    resultsEl.hidden = false;
+    showResultsBtn.hidden = false;
+  }
+
+  function zoomToFeature(id) {
+    const layer = state.idToLayer.get(id);
+    if (!layer || !map) return;
+    if (layer.getBounds) map.fitBounds(layer.getBounds(), { padding: [60, 60], maxZoom: 18 });
+    else if (layer.getLatLng) map.setView(layer.getLatLng(), Math.max(map.getZoom(), 18));
+    layer.setStyle(flashStyleForId(id));
+    setTimeout(() => layer.setStyle(persistentStyleForId(id)), REVEAL_FLASH_MS);
+  }
+
+  // Everything not found on the first try; features keep their ids so the
+  // learning profile still lines up
+  function featuresWithResult(predicate) {
+    return state.order
+      .map(idx => ({ feature: state.features[idx], id: getFeatureId(state.features[idx], idx) }))
+      .filter(({ id }) => {
+        const res = state.resultsById.get(id);
+        return res && predicate(res);
+      })
+      .flatMap(({ id }) => classIds(id)) // the whole answer class comes along
+      .map(id => ({ ...state.idToLayer.get(id).feature, id }));
+  }
+
+  function missedFeatures() {
+    return featuresWithResult(res => res.attempts > 0 || res.gaveUp);
+  }
+
+  // Named on the first try: ready to be found on the map instead
+  function masteredFeatures() {
+    return featuresWithResult(res => res.attempts === 0 && !res.gaveUp);
+  }
+
+  async function replayMissed() {
+    const missed = missedFeatures();
+    if (!missed.length) return;
+    const cfg = { ...state.config, transient: true, seed: undefined, challenge: undefined };
+    try {
+      await initializeGame(missed, cfg);
+      setStatus(`Replaying ${state.order.length} missed.`);
+    } catch (err) {
+      console.error(err);
+      setStatus(`Cannot replay: ${err.message || err}`);
+    }
+  }
+
+  // Multiple choice -> click mode, on just the regions the player already knows
+  async function playMasteredByClicking() {
+    const mastered = masteredFeatures();
+    if (!mastered.length) return;
+    const cfg = { ...state.config, answerMode: 'click', transient: true, seed: undefined, challenge: undefined };
+    try {
+      await initializeGame(mastered, cfg);
+      setStatus(`Now find the ${state.order.length} you named on the map.`);
+    } catch (err) {
+      console.error(err);
+      setStatus(`Cannot start: ${err.message || err}`);
+    }
+  }
+
+  function exportResultsCsv() {
+    const quote = (v) => {
+      const text = String(v ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['order', 'id', 'prompt', 'misses', 'result', 'time_s', 'points', 'clicked_instead'];
+    const lines = buildResultRows().map(r => [
+      r.order, r.id, r.label, r.attempts ?? '', r.outcome,
+      r.timeMs === null ? '' : (r.timeMs / 1000).toFixed(1), formatScore(r.points), r.clickedInstead.join('; '),
+    ].map(quote).join(','));
+    downloadText([header.join(','), ...lines].join('\n'), 'text/csv', `mapmem-results-${exportBaseName()}.csv`);
+  }
+
+  function exportResultsJson() {
+    const cfg = state.config || {};
+    const report = {
+      mapKey: cfg.mapKey,
+      gameMode: currentGameMode(),
+      score: state.score,
+      maxScore: state.maxScore,
+      elapsedMs: state.lastRunMs,
+      finishedAt: new Date().toISOString(),
+      results: buildResultRows(),
+    };
+    downloadText(JSON.stringify(report, null, 2), 'application/json', `mapmem-results-${exportBaseName()}.json`);
+  }
+
+  // --- Save offline ---
+  // Pre-fetches everything needed to replay the current map without a
+  // connection: app files and libraries, the map data, and the base map's
+  // tiles (over the data bounds), glyphs and sprites. The service worker
+  // serves them from these caches; Overpass data is already cached on load.
+
+  // Slippy-map tile x/y ranges covering bounds at zoom z
+  function tileRangeForBounds(bounds, z) {
+    const n = 2 ** z;
+    const clamp = v => Math.min(n - 1, Math.max(0, v));
+    const tileX = lng => clamp(Math.floor((lng + 180) / 360 * n));
+    const tileY = lat => {
+      const rad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+      return clamp(Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n));
+    };
+    return {
+      minX: tileX(bounds.getWest()), maxX: tileX(bounds.getEast()),
+      minY: tileY(bounds.getNorth()), maxY: tileY(bounds.getSouth()),
+    };
+  }
+
+  async function fetchJson(url) {
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${url}`);
+    return resp.json();
+  }
+
+  // Font stacks named by the style's text-font layout properties (literal arrays only)
+  function styleFontStacks(style) {
+    const stacks = new Set();
+    for (const layer of style.layers || []) {
+      const fonts = layer.layout && layer.layout['text-font'];
+      if (Array.isArray(fonts) && fonts.every(f => typeof f === 'string')) stacks.add(fonts.join(','));
+    }
+    return [...stacks];
+  }
+
+  async function offlineStyleUrls(styleUrl, bounds) {
+    const style = await fetchJson(styleUrl);
+    const urls = [styleUrl];
+    const tiles = [];
+    for (const source of Object.values(style.sources || {})) {
+      let tileJson = source;
+      let baseUrl = styleUrl;
+      if (source.url) {
+        baseUrl = new URL(source.url, styleUrl).href;
+        urls.push(baseUrl);
+        tileJson = await fetchJson(baseUrl);
+      }
+      if (!Array.isArray(tileJson.tiles) || !tileJson.tiles.length) continue;
+      const template = tileJson.tiles[0];
+      const maxZoom = Math.min(tileJson.maxzoom ?? source.maxzoom ?? 22, OFFLINE_MAX_ZOOM);
+      for (let z = tileJson.minzoom ?? source.minzoom ?? 0; z <= maxZoom; z++) {
+        const range = tileRangeForBounds(bounds, z);
+        for (let x = range.minX; x <= range.maxX; x++) {
+          for (let y = range.minY; y <= range.maxY; y++) {
+            tiles.push(new URL(template.replace('{z}', z).replace('{x}', x).replace('{y}', y), baseUrl).href);
+          }
+        }
+      }
+    }
+    if (tiles.length > OFFLINE_MAX_TILES) {
+      throw new Error(`this map needs ${tiles.length} tiles, more than the ${OFFLINE_MAX_TILES} we save`);
+    }
+    if (style.glyphs) {
+      for (const stack of styleFontStacks(style)) {
+        for (const range of OFFLINE_GLYPH_RANGES) {
+          urls.push(style.glyphs.replace('{fontstack}', stack).replace('{range}', range));
+        }
+      }
+    }
+    if (typeof style.sprite === 'string') {
+      for (const suffix of ['.json', '.png', '@2x.json', '@2x.png']) urls.push(`${style.sprite}${suffix}`);
+    }
+    return { urls, tiles };
+  }
+
+  // Adds urls to a cache a few at a time; failures are counted, not fatal
+  async function cacheUrls(cacheName, urls, onProgress) {
+    const cache = await caches.open(cacheName);
+    let next = 0, done = 0, failed = 0;
+    async function worker() {
+      while (next < urls.length) {
+        const url = urls[next++];
+        try {
+          if (!(await cache.match(url))) await cache.add(url);
+        } catch (_) {
+          failed += 1;
+        }
+        done += 1;
+        onProgress(done);
+      }
+    }
+    await Promise.all(Array.from({ length: OFFLINE_FETCH_CONCURRENCY }, worker));
+    return failed;
+  }
+
+  async function saveCurrentMapOffline() {
+    if (!hasCacheStorage() || !geoLayer) return;
+    offlineBtn.disabled = true;
+    offlineBtn.textContent = 'Saving…';
+    try {
+      const appUrls = [window.location.href.split('?')[0]];
+      document.querySelectorAll('script[src], link[rel="stylesheet"][href]').forEach(el => {
+        appUrls.push(el.src || el.href);
+      });
+      if (state.config && state.config.dataUrl) appUrls.push(new URL(state.config.dataUrl, window.location.href).href);
+
+      const bounds = geoLayer.getBounds().pad(0.2);
+      const styleUrl = new URL(DEFAULTS.styleEndpoint, window.location.href).href;
+      const { urls, tiles } = await offlineStyleUrls(styleUrl, bounds);
+      appUrls.push(...urls);
+
+      const total = appUrls.length + tiles.length;
+      let offset = 0;
+      const onProgress = (done) => {
+        offlineBtn.textContent = `Saving… ${Math.round(((offset + done) / total) * 100)}%`;
+      };
+      let failed = await cacheUrls(APP_CACHE, appUrls, onProgress);
+      offset = appUrls.length;
+      failed += await cacheUrls(TILE_CACHE, tiles, onProgress);
+
+      offlineBtn.textContent = failed ? 'Saved (partly)' : 'Saved offline';
+      setStatus(failed
+        ? `Saved for offline play, but ${failed} of ${total} files failed to download.`
+        : `Saved for offline play (${tiles.length} map tiles).`);
+    } catch (err) {
+      console.error('Offline save failed', err);
+      offlineBtn.textContent = 'Save offline';
+      setStatus(`Couldn't save for offline play: ${err.message || err}`);
+    } finally {
+      offlineBtn.disabled = false;
+    }
+  }
+
+  // --- Map set editor ---
+  // Works on copies of the loaded features so changes only land when the
+  // player hits Play, Save as preset or Export.
+  const editor = {
+    active: false,
+    features: [], // working copies (properties cloned, geometry shared)
+    excluded: new Set(), // feature ids left out of the quiz
+    layer: null,
+    idToLayer: new Map(),
+    selectedId: null,
+  };
+
+  const EDITOR_GROUP_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04', '#dc2626'];
+  const styleEditorIncluded = { weight: 1, color: '#1d4ed8', fillColor: '#60a5fa', fillOpacity: 0.35, dashArray: null };
+  const styleEditorExcluded = { weight: 1, color: '#888888', fillColor: '#cccccc', fillOpacity: 0.05, dashArray: '4 4' };
+  const styleEditorSelected = { weight: 3, color: '#f97316' };
+
+  function editorGroupNames(features = editor.features) {
+    const names = new Set();
+    for (const f of features) {
+      const g = propertyText(f.properties[GROUP_PROPERTY]);
+      if (g) names.add(g);
+    }
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }
+
+  function editorStyleFor(feature) {
+    const id = getFeatureId(feature, -1);
+    const kind = geometryKind(feature);
+    if (editor.excluded.has(id)) {
+      return adaptStyleToGeometry({ ...styleEditorExcluded, ...(id === editor.selectedId ? styleEditorSelected : {}) }, kind);
+    }
+    const group = propertyText(feature.properties[GROUP_PROPERTY]);
+    const groups = editorGroupNames();
+    const colored = group
+      ? { color: EDITOR_GROUP_COLORS[groups.indexOf(group) % EDITOR_GROUP_COLORS.length], fillColor: EDITOR_GROUP_COLORS[groups.indexOf(group) % EDITOR_GROUP_COLORS.length] }
+      : {};
+    return adaptStyleToGeometry({ ...styleEditorIncluded, ...colored, ...(id === editor.selectedId ? styleEditorSelected : {}) }, kind);
+  }
+
+  function refreshEditorStyles() {
+    for (const f of editor.features) {
+      const layer = editor.idToLayer.get(getFeatureId(f, -1));
+      if (layer) layer.setStyle(editorStyleFor(f));
+    }
+    const groups = editorGroupNames();
+    editorGroupList.innerHTML = '';
+    for (const g of groups) {
+      const opt = document.createElement('option');
+      opt.value = g;
+      editorGroupList.appendChild(opt);
+    }
+    const included = editor.features.length - editor.excluded.size;
+    const unlabeled = editorIncludedFeatures().filter(f => !getPromptLabel(f)).length;
+    editorSummary.textContent = `${included} of ${editor.features.length} included` +
+      (groups.length ? ` • groups: ${groups.join(', ')}` : '') +
+      (unlabeled ? ` • ${unlabeled} included without a label (won't be asked)` : '');
+  }
+
+  function editorIncludedFeatures() {
+    return editor.features.filter(f => !editor.excluded.has(getFeatureId(f, -1)));
+  }
+
+  function selectEditorFeature(id) {
+    editor.selectedId = id;
+    const feature = editor.features.find(f => getFeatureId(f, -1) === id);
+    editorDetails.hidden = !feature;
+    if (feature) {
+      editorInclude.checked = !editor.excluded.has(id);
+      editorName.value = propertyText(feature.properties.name);
+      editorLabel.value = propertyText(feature.properties[LABEL_PROPERTY]);
+      editorLabel.placeholder = getPromptLabel({ properties: { ...feature.properties, [LABEL_PROPERTY]: '' } }) || 'No label';
+      editorGroup.value = propertyText(feature.properties[GROUP_PROPERTY]);
+    }
+    refreshEditorStyles();
+  }
+
+  function setFeatureProperty(feature, key, value) {
+    const v = String(value || '').trim();
+    if (v) feature.properties[key] = v;
+    else delete feature.properties[key];
+  }
+
+  function handleEditorClick(id) {
+    const feature = editor.features.find(f => getFeatureId(f, -1) === id);
+    if (!feature) return;
+    const tool = editorTool.value;
+    if (tool === 'toggle') {
+      if (editor.excluded.has(id)) editor.excluded.delete(id); else editor.excluded.add(id);
+    } else if (tool === 'group') {
+      const group = editorActiveGroup.value.trim();
+      const current = propertyText(feature.properties[GROUP_PROPERTY]);
+      // Clicking a member of the active group again removes it from the group
+      setFeatureProperty(feature, GROUP_PROPERTY, current === group ? '' : group);
+    }
+    selectEditorFeature(id);
+  }
+
+  function openEditor() {
+    if (!state.sourceFeatures.length) return;
+    stopRevealBlink();
+    stopGameClock();
+    state.isGameOver = true; // the current round is abandoned while editing
+    clearLabels();
+    if (geoLayer) geoLayer.remove();
+    applyBaseMapDifficulty('easy');
+
+    // The zone stage plays merged zones, so nothing from the source is left out
+    // Merged regions stand for all of their source parts
+    const playing = new Set(isZoneStage(state.config) ? state.sourceFeatures
+      : state.features.flatMap(f => cleanup.partsOf.get(f) || [f]));
+    editor.features = [];
+    editor.excluded.clear();
+    editor.idToLayer.clear();
+    editor.selectedId = null;
+    state.sourceFeatures.forEach((f, idx) => {
+      if (!geometryKind(f)) return;
+      const copy = { ...f, properties: { ...(f.properties || {}) } };
+      // Give id-less features a stable id so edits survive export and reload
+      if (getFeatureId(copy, '') === '') copy.id = `feature/${idx}`;
+      editor.features.push(copy);
+      if (!playing.has(f)) editor.excluded.add(getFeatureId(copy, -1));
+    });
+
+    editor.layer = L.geoJSON(editor.features, {
+      style: editorStyleFor,
+      pointToLayer: pointToCircleMarker,
       onEachFeature: function (feature, layer) {
-        const idx = polys.indexOf(feature);
-        const id = getFeatureId(feature, idx);
-        state.idToLayer.set(id, layer);
-        layer.on('click', () => handleBuildingClick(feature, layer, id));
-      }
+        const id = getFeatureId(feature, -1);
+        editor.idToLayer.set(id, layer);
+        layer.on('click', (e) => {
+          L.DomEvent.stopPropagation(e);
+          handleEditorClick(id);
+        });
+      },
     }).addTo(map);
+    editor.active = true;
 
-    // View
-    if (cfg.center && Number.isFinite(cfg.center.lat) && Number.isFinite(cfg.center.lng)) {
-      map.setView([cfg.center.lat, cfg.center.lng], cfg.zoom || DEFAULTS.zoom);
-    } else {
-      try {
-        map.fitBounds(geoLayer.getBounds(), { padding: [20, 20] });
-      } catch (_) {
-        map.setView([0, 0], cfg.zoom || DEFAULTS.zoom);
-      }
-    }
+    editorPresetName.value = editorPresetName.value || defaultPresetName();
+    editorDetails.hidden = true;
+    editorStatus.textContent = '';
+    refreshEditorStyles();
+    hideUI();
+    hideConfigPanel();
+    configToggleBtn.hidden = true;
+    editBtn.hidden = true;
+    editorEl.hidden = false;
+  }
 
-    // Round 1
-    startRound();
+  function closeEditor() {
+    if (editor.layer) editor.layer.remove();
+    editor.layer = null;
+    editor.idToLayer.clear();
+    editor.active = false;
+    editorEl.hidden = true;
+    configToggleBtn.hidden = false;
+    editBtn.hidden = false;
   }
 
-  function exportCurrentGeoJSON() {
+  function defaultPresetName() {
+    const cfg = state.config || {};
+    if (localFile && cfg.mapKey === `file:${localFile.hash}`) return localFile.name.replace(/\.[^.]+$/, '');
+    if (cfg.areaType === 'area' && cfg.areaName) return cfg.areaName;
+    if (cfg.relationId) return `Relation ${cfg.relationId}`;
+    return 'My map';
+  }
+
+  // Discard edits and go back to a fresh game on the unedited data
+  function cancelEditor() {
+    closeEditor();
+    if (geoLayer) geoLayer.addTo(map);
+    applyBaseMapDifficulty(currentDifficulty());
+    showUI();
+    restartSameConfig();
+  }
+
+  async function playEditedMap() {
+    const features = editorIncludedFeatures();
     try {
-      const fc = { type: 'FeatureCollection', features: state.features || [] };
-      const json = JSON.stringify(fc, null, 2);
-      const blob = new Blob([json], { type: 'application/geo+json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      const rid = (state.config && state.config.relationId) ? `rel${state.config.relationId}` : 'data';
-      a.download = `mapmem-${rid}.geojson`;
-      a.href = url;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+      const cfg = { ...state.config, transient: true }; // the edited features only exist in memory
+      delete cfg.group;
+      // initializeGame checks before it tears anything down, so on failure
+      // the editor and its unsaved edits are still there
+      await initializeGame(features, cfg);
+      closeEditor();
+      showUI();
+    } catch (err) {
+      console.error(err);
+      editorStatus.textContent = `Cannot play: ${err.message || err}`;
+    }
+  }
+
+  // --- Custom presets (saved from the editor, stored in localStorage) ---
+  // index: [{ key, label, groups: [..], count, createdAt }]; data under customPreset:<key>
+  function loadCustomPresets() {
+    try {
+      const raw = localStorage.getItem('building-guessr:customPresets');
+      const list = raw ? JSON.parse(raw) : [];
+      return Array.isArray(list) ? list : [];
+    } catch (_) { return []; }
+  }
+  function loadCustomPresetFeatures(key) {
+    const raw = localStorage.getItem(`building-guessr:customPreset:${key}`);
+    const data = raw ? JSON.parse(raw) : null;
+    if (!validateGeoJSON(data)) throw new Error('Saved preset data is missing or corrupt');
+    return data.features;
+  }
+  function saveCustomPreset(label, features, groups) {
+    const key = `custom-${Date.now().toString(36)}`;
+    const data = JSON.stringify({ type: 'FeatureCollection', features });
+    try {
+      localStorage.setItem(`building-guessr:customPreset:${key}`, data);
+      const list = loadCustomPresets();
+      list.push({ key, label, groups, count: features.length, createdAt: Date.now() });
+      localStorage.setItem('building-guessr:customPresets', JSON.stringify(list));
     } catch (e) {
-      console.error('Export failed', e);
+      localStorage.removeItem(`building-guessr:customPreset:${key}`);
+      throw new Error('Browser storage is full; export the GeoJSON instead');
+    }
+    return key;
+  }
+  function deleteCustomPreset(key) {
+    try {
+      localStorage.removeItem(`building-guessr:customPreset:${key}`);
+      const list = loadCustomPresets().filter(p => p.key !== key);
+      localStorage.setItem('building-guessr:customPresets', JSON.stringify(list));
+    } catch (_) { /* ignore */ }
+  }
+
+  async function loadCustomPresetAndStartGame(cfg, preset) {
+    const signal = beginLoad();
+    try {
+      await initializeGame(loadCustomPresetFeatures(preset.key), cfg);
+      hideConfigPanel();
+      showUI();
+    } catch (err) {
+      console.error(err);
+      pendingResume = null;
+      configError.textContent = `Failed to load preset: ${err.message || err}`;
+    } finally {
+      endLoad(signal);
     }
   }
 
   function startRound() {
+    if (state.isGameOver) return;
     if (state.targetIndex >= state.order.length) {
       return endGame();
     }
     stopRevealBlink();
+    closeMagnifier();
+    state.roundStartedAt = Date.now();
     state.attemptsForCurrent = 0;
     state.isRevealing = false;
+    state.isAdvancing = false;
     state.hasRevealedForCurrent = false;
+    state.firstMissMeters = null;
+    state.wrongIdsForCurrent = [];
+    state.wrongAnswersForCurrent = [];
     const idx = state.order[state.targetIndex];
     const feature = state.features[idx];
     const id = getFeatureId(feature, idx);
     const label = getPromptLabel(feature, id);
 
-    setPrompt(label);
+    if (isReverseMode()) {
+      promptEl.textContent = 'Name the flashing region';
+      startRevealBlink(id);
+      const center = featureCentroid(feature);
+      if (center && map) announce(`Name the region ${describeFromMapCenter(center)}.`);
+      if (center && map) map.panInside(center, { padding: [40, 40] });
+      if (isChoiceMode()) {
+        renderChoices(idx);
+      } else {
+        answerInput.value = '';
+        answerInput.focus();
+      }
+    } else {
+      setPrompt(label);
+      announce(`Find ${label}.`);
+    }
+    answerForm.hidden = !isTypeMode();
+    choicesEl.hidden = !isChoiceMode();
     setStatus('');
     skipBtn.disabled = false;
     // Keep restart visible during gameplay
@@ -553,9 +3054,49 @@ out geom;`;
       }
       return best;
     }
+    if (g.type === 'Point') return L.latLng(g.coordinates[1], g.coordinates[0]);
+    if (g.type === 'MultiPoint') {
+      const first = g.coordinates[0];
+      return first ? L.latLng(first[1], first[0]) : null;
+    }
+    if (g.type === 'LineString') return lineMidpoint(g.coordinates);
+    if (g.type === 'MultiLineString') {
+      // label the longest part
+      let best = null, bestLen = -Infinity;
+      for (const line of g.coordinates) {
+        const len = lineLength(line || []);
+        if (len > bestLen) { bestLen = len; best = line; }
+      }
+      return best ? lineMidpoint(best) : null;
+    }
     return null;
   }
 
+  function lineLength(coords) { // planar length in lon/lat units
+    let len = 0;
+    for (let i = 1; i < coords.length; i++) {
+      len += Math.hypot(coords[i][0] - coords[i - 1][0], coords[i][1] - coords[i - 1][1]);
+    }
+    return len;
+  }
+  // Point halfway along a line, so labels sit on the street rather than off it
+  function lineMidpoint(coords) {
+    if (!coords || !coords.length) return null;
+    let remaining = lineLength(coords) / 2;
+    for (let i = 1; i < coords.length; i++) {
+      const [x0, y0] = coords[i - 1];
+      const [x1, y1] = coords[i];
+      const seg = Math.hypot(x1 - x0, y1 - y0);
+      if (seg >= remaining && seg > 0) {
+        const t = remaining / seg;
+        return L.latLng(y0 + (y1 - y0) * t, x0 + (x1 - x0) * t);
+      }
+      remaining -= seg;
+    }
+    const last = coords[coords.length - 1];
+    return L.latLng(last[1], last[0]);
+  }
+
   function rectsOverlap(a, b) {
     return !(a.x + a.w < b.x || b.x + b.w < a.x || a.y + a.h < b.y || b.y + b.h < a.y);
   }
@@ -569,11 +3110,15 @@ out geom;`;
       .replace(/'/g, '&#039;');
   }
 
+  // Labels every member of the id's answer class
   function addLabelForId(id) {
+    classIds(id).forEach(addLabelForMember);
+  }
+
+  function addLabelForMember(id) {
     if (state.labeledIds.has(id)) return;
     const layer = state.idToLayer.get(id);
-    const idx = state.features.findIndex(f => getFeatureId(f, -1) === id);
-    const feature = idx >= 0 ? state.features[idx] : null;
+    const feature = layer ? layer.feature : null;
     if (!feature) return;
     const name = getPromptLabel(feature, id);
     if (!name) return;
@@ -598,87 +3143,572 @@ out geom;`;
     }
     if (!labelRect) labelRect = { x: basePt.x - w / 2, y: basePt.y - h / 2, w, h };
 
-    const finalLatLng = map.layerPointToLatLng(L.point(labelRect.x + w / 2, labelRect.y + h / 2));
-    const marker = L.marker(finalLatLng, {
-      interactive: false,
-      keyboard: false,
-      icon: L.divIcon({
-        className: 'map-label',
-        html: escapeHtml(name),
-      })
-    }).addTo(map);
+    const finalLatLng = map.layerPointToLatLng(L.point(labelRect.x + w / 2, labelRect.y + h / 2));
+    const marker = L.marker(finalLatLng, {
+      interactive: false,
+      keyboard: false,
+      icon: L.divIcon({
+        className: 'map-label',
+        html: escapeHtml(name),
+      })
+    }).addTo(map);
+
+    state.labels.push({ id, marker, rect: labelRect });
+    state.labeledIds.add(id);
+  }
+
+  function stopRevealBlink() {
+    if (state.revealIntervalId) {
+      clearInterval(state.revealIntervalId);
+      state.revealIntervalId = null;
+    }
+    if (state.revealTargetId) {
+      const lid = state.revealTargetId;
+      state.revealTargetId = null;
+      restyleClass(lid);
+    }
+  }
+
+  // Blinks the target and the rest of its answer class
+  function startRevealBlink(targetId) {
+    stopRevealBlink();
+    const members = classIds(targetId).filter(id => state.idToLayer.has(id));
+    if (!members.length) return;
+    state.revealTargetId = targetId;
+    let on = false;
+    state.revealIntervalId = setInterval(() => {
+      on = !on;
+      for (const id of members) state.idToLayer.get(id).setStyle(on ? flashStyleForId(id) : persistentStyleForId(id));
+    }, REVEAL_BLINK_PERIOD_MS);
+  }
+
+  // --- Keyboard play and screen-reader announcements ---
+  // With the map focused, Tab / Shift+Tab walk the features in reading order
+  // (rows top to bottom, left to right), the arrow keys jump to the nearest
+  // feature in that direction, and Enter answers with the focused one.
+  const FOCUS_ROW_PX = 48; // centroids this close vertically count as one row
+  const ARROW_VECTORS = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+
+  function announce(msg) {
+    announcerEl.textContent = msg || '';
+  }
+
+  function describeFromMapCenter(latlng) {
+    const center = map.getCenter();
+    const meters = center.distanceTo(latlng);
+    if (meters < 15) return 'at the map center';
+    return `${formatDistance(meters)} ${compassDirection(center, latlng)} of the map center`;
+  }
+
+  function featurePoint(id) {
+    const layer = state.idToLayer.get(id);
+    const center = layer && featureCentroid(layer.feature);
+    return center ? map.latLngToContainerPoint(center) : null;
+  }
+
+  function spatialOrder() {
+    return [...state.idToLayer.keys()]
+      .map(id => ({ id, p: featurePoint(id) }))
+      .filter(({ p }) => p)
+      .sort((a, b) => (Math.floor(a.p.y / FOCUS_ROW_PX) - Math.floor(b.p.y / FOCUS_ROW_PX)) || (a.p.x - b.p.x))
+      .map(({ id }) => id);
+  }
+
+  // Nearest feature ahead in the arrow's direction, favoring ones straight
+  // ahead; with nothing focused yet, the one nearest the map center
+  function nearestInDirection([vx, vy]) {
+    const origin = (state.focusId && featurePoint(state.focusId)) || map.latLngToContainerPoint(map.getCenter());
+    let bestId = null, bestScore = Infinity;
+    for (const id of state.idToLayer.keys()) {
+      if (id === state.focusId) continue;
+      const p = featurePoint(id);
+      if (!p) continue;
+      const dx = p.x - origin.x, dy = p.y - origin.y;
+      const ahead = state.focusId ? dx * vx + dy * vy : 1;
+      if (ahead <= 0) continue;
+      const score = state.focusId ? ahead + 2 * Math.abs(dx * vy - dy * vx) : Math.hypot(dx, dy);
+      if (score < bestScore) { bestScore = score; bestId = id; }
+    }
+    return bestId;
+  }
+
+  function setFeatureFocus(id) {
+    const prevId = state.focusId;
+    state.focusId = id;
+    for (const lid of [prevId, id]) {
+      const layer = lid && state.idToLayer.get(lid);
+      if (layer && !isBlinking(lid)) layer.setStyle(persistentStyleForId(lid));
+    }
+    const layer = id && state.idToLayer.get(id);
+    if (!layer) return;
+    if (layer.bringToFront) layer.bringToFront();
+    const center = featureCentroid(layer.feature);
+    if (!center) return;
+    map.panInside(center, { padding: [40, 40] });
+    // Unanswered features stay anonymous so the focus ring doesn't give answers away
+    const res = resultForId(id);
+    const where = describeFromMapCenter(center);
+    announce(res ? `${getPromptLabel(layer.feature, id)}, ${resultOutcome(res)}, ${where}.` : `Unanswered region ${where}.`);
+  }
+
+  // Returns true when the key was used, so the map doesn't also pan
+  function handleMapKey(e) {
+    if (state.isGameOver || !state.idToLayer.size) return false;
+    if (e.key === 'Tab') {
+      const order = spatialOrder();
+      const pos = order.indexOf(state.focusId);
+      const next = e.shiftKey ? (pos < 0 ? order.length - 1 : pos - 1) : pos + 1;
+      if (next < 0 || next >= order.length) {
+        setFeatureFocus(null); // let Tab leave the map
+        return false;
+      }
+      setFeatureFocus(order[next]);
+      return true;
+    }
+    if (ARROW_VECTORS[e.key]) {
+      const id = nearestInDirection(ARROW_VECTORS[e.key]);
+      if (id) setFeatureFocus(id);
+      return true;
+    }
+    if ((e.key === 'Enter' || e.key === ' ') && state.focusId) {
+      const layer = state.idToLayer.get(state.focusId);
+      if (layer) handleBuildingClick(layer.feature, layer, state.focusId);
+      return true;
+    }
+    return false;
+  }
+
+  function isEditableTarget(el) {
+    return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+  }
+
+  // Shortcuts: S skip, R restart, Esc exit, 1-4 pick a multiple-choice answer
+  function handleGameKeydown(e) {
+    if (uiEl.hidden || editor.active || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target === mapEl && handleMapKey(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    if (isEditableTarget(e.target)) return;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key === 's') skipBtn.click();
+    else if (key === 'r') restartBtn.click();
+    else if (key === 'Escape' && exitBtn) exitBtn.click();
+    else if (isChoiceMode() && /^[1-9]$/.test(key) && choicesEl.children[Number(key) - 1]) choicesEl.children[Number(key) - 1].click();
+    else return;
+    e.preventDefault();
+  }
+
+  function loadPatternsPreference() {
+    try {
+      return localStorage.getItem('building-guessr:patterns') === '1';
+    } catch (_) { return false; }
+  }
+
+  function setPatternsPreference(on) {
+    try {
+      localStorage.setItem('building-guessr:patterns', on ? '1' : '0');
+    } catch (_) { /* ignore */ }
+    for (const [id, layer] of state.idToLayer) {
+      if (!isBlinking(id)) layer.setStyle(persistentStyleForId(id));
+    }
+  }
+
+  // --- Difficulty ---
+  // easy: everything drawn; medium: base-map text labels hidden (they can name
+  // the buildings); hard: no outlines either; expert: no base map at all
+  const DIFFICULTY_LABELS = { easy: 'Easy', medium: 'Medium', hard: 'Hard', expert: 'Expert' };
+
+  function currentDifficulty() {
+    const difficulty = state.config && state.config.difficulty;
+    return DIFFICULTY_LABELS[difficulty] ? difficulty : 'easy';
+  }
+
+  function hidesOutlines() {
+    const difficulty = currentDifficulty();
+    return difficulty === 'hard' || difficulty === 'expert';
+  }
+
+  function applyBaseMapDifficulty(difficulty) {
+    if (!map || !baseLayer) return;
+    if (difficulty === 'expert') {
+      if (map.hasLayer(baseLayer)) map.removeLayer(baseLayer);
+      return;
+    }
+    if (!map.hasLayer(baseLayer)) baseLayer.addTo(map);
+    setBaseMapLabelsVisible(difficulty === 'easy');
+  }
+
+  // Only the vector style can drop its labels; raster fallback tiles have them baked in
+  function setBaseMapLabelsVisible(visible) {
+    const glMap = typeof baseLayer.getMaplibreMap === 'function' ? baseLayer.getMaplibreMap() : null;
+    if (!glMap) return;
+    const apply = () => {
+      try {
+        if (visible) {
+          for (const id of hiddenBaseLabelIds) glMap.setLayoutProperty(id, 'visibility', 'visible');
+          hiddenBaseLabelIds = [];
+          return;
+        }
+        for (const layer of glMap.getStyle().layers) {
+          if (layer.type !== 'symbol' || !layer.layout || !layer.layout['text-field']) continue;
+          if (layer.layout.visibility === 'none') continue;
+          glMap.setLayoutProperty(layer.id, 'visibility', 'none');
+          hiddenBaseLabelIds.push(layer.id);
+        }
+      } catch (e) {
+        console.warn('Could not change base map labels', e);
+      }
+    };
+    if (glMap.isStyleLoaded()) apply();
+    else glMap.once('load', apply);
+  }
+
+  // --- Proximity scoring ---
+  function isProximityScoring() {
+    return !!state.config && state.config.scoring === 'proximity';
+  }
+
+  // Binary: 1 for a first-try answer. Proximity: partial credit that shrinks
+  // with how far off the first guess was and with every miss; none once revealed.
+  function pointsForAnswer(attempts, firstMissMeters) {
+    if (attempts === 0) return 1;
+    if (!isProximityScoring() || attempts >= 3) return 0;
+    const closeness = firstMissMeters === null ? 1 : Math.exp(-firstMissMeters / PROXIMITY_SCALE_M);
+    return closeness * Math.pow(PROXIMITY_MISS_DECAY, attempts);
+  }
+
+  const COMPASS_POINTS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+  // Initial great-circle bearing from a to b, as one of 8 compass words
+  function compassDirection(a, b) {
+    const toRad = Math.PI / 180;
+    const phi1 = a.lat * toRad, phi2 = b.lat * toRad;
+    const dLng = (b.lng - a.lng) * toRad;
+    const y = Math.sin(dLng) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+    const bearing = (Math.atan2(y, x) / toRad + 360) % 360;
+    return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+  }
+
+  function formatDistance(meters) {
+    if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+    return `${Math.max(10, Math.round(meters / 10) * 10)} m`;
+  }
+
+  // { meters, direction } from the clicked feature to the target, or null
+  function offsetToTarget(clickedFeature, targetFeature) {
+    const from = featureCentroid(clickedFeature);
+    const to = featureCentroid(targetFeature);
+    if (!from || !to) return null;
+    return { meters: from.distanceTo(to), direction: compassDirection(from, to) };
+  }
+
+  // --- Answer classes ---
+  // Features with the same prompt label (compared like typed answers), or the
+  // same georecall:answer value, are one answer: the class is prompted once,
+  // any member counts as correct, and results color and label every member.
+  // The first member in feature order represents the class in the prompt
+  // order and in resultsById. Cleanup renames same-name regions apart before
+  // classes are built, so with it on they're separate answers, each asked
+  // by its own label.
+  function answerClassKey(feature) {
+    const props = (feature && feature.properties) || {};
+    const explicit = propertyText(props[ANSWER_CLASS_PROPERTY]);
+    if (explicit) return `answer:${explicit}`;
+    const label = normalizeAnswer(getPromptLabel(feature));
+    return label ? `label:${label}` : '';
+  }
+
+  function buildAnswerClasses(features) {
+    state.classOf.clear();
+    state.classMembers.clear();
+    const repByKey = new Map();
+    features.forEach((f, idx) => {
+      const id = getFeatureId(f, idx);
+      const key = answerClassKey(f);
+      const rep = (key && repByKey.get(key)) || id;
+      if (key && !repByKey.has(key)) repByKey.set(key, id);
+      state.classOf.set(id, rep);
+      if (!state.classMembers.has(rep)) state.classMembers.set(rep, []);
+      state.classMembers.get(rep).push(id);
+    });
+  }
+
+  function classRepresentative(id) {
+    return state.classOf.get(id) ?? id;
+  }
+
+  function isClassRepresentative(id) {
+    return classRepresentative(id) === id;
+  }
+
+  function classIds(id) {
+    return state.classMembers.get(classRepresentative(id)) || [id];
+  }
+
+  function isSameAnswer(a, b) {
+    return classRepresentative(a) === classRepresentative(b);
+  }
+
+  function resultForId(id) {
+    return state.resultsById.get(classRepresentative(id));
+  }
+
+  function restyleClass(id) {
+    for (const member of classIds(id)) {
+      const layer = state.idToLayer.get(member);
+      if (layer) layer.setStyle(persistentStyleForId(member));
+    }
+  }
+
+  function isBlinking(id) {
+    return !!state.revealTargetId && isSameAnswer(id, state.revealTargetId);
+  }
+
+  // Shared by click and typed answers once the current target is answered correctly
+  function acceptCorrectAnswer(targetId) {
+    // Stop any ongoing reveal blink
+    stopRevealBlink();
+    state.isAdvancing = true;
+    const attempts = state.attemptsForCurrent;
+    const points = pointsForAnswer(attempts, state.firstMissMeters);
+    const timeMs = Date.now() - state.roundStartedAt;
+    const result = { attempts, skipped: false, points, timeMs, ...roundMistakes() };
+    if (state.firstMissMeters !== null) result.firstMissMeters = Math.round(state.firstMissMeters);
+    state.resultsById.set(targetId, result);
+    recordLearning(targetId, result);
+
+    // Persist color
+    restyleClass(targetId);
+
+    // Status message
+    const bonus = (isProximityScoring() && attempts > 0) ? ` +${formatScore(points)}` : '';
+    if (attempts === 0) setStatusWithIcon('correct', 'Nice! Correct on the first try.');
+    else if (attempts === 1) setStatusWithIcon('correct', `Correct!${bonus}`);
+    else setStatusWithIcon('correct', `Correct!${bonus}`);
+
+    state.score += points;
+    // targetIndex increments after delay; show updated score over attempted when next starts
+    updateScoreDisplay();
+    saveGameProgress();
+
+    // Add non-overlapping labels for this feature (and the rest of its class)
+    addLabelForId(targetId);
+
+    // Advance after short delay
+    setTimeout(() => {
+      state.targetIndex += 1;
+      startRound();
+    }, ADVANCE_DELAY_MS);
+  }
+
+  // --- Typed answers (reverse mode) ---
+  function normalizeAnswer(s) {
+    return String(s || '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^\p{L}\p{N}]+/gu, ''); // any script's letters and digits
+  }
+
+  // Accepted spellings: name, ref, alt_name and addr:housename (OSM ';' lists split),
+  // plus the name with a leading ref stripped ("E53 Hermann Building" -> "Hermann Building").
+  function answerCandidates(feature) {
+    const props = feature && feature.properties ? feature.properties : {};
+    const out = [];
+    for (const key of ['name', 'ref', 'alt_name', 'addr:housename']) {
+      const v = props[key];
+      if (v === undefined || v === null) continue;
+      for (const part of String(v).split(';')) {
+        if (part.trim()) out.push(part.trim());
+      }
+    }
+    const label = getPromptLabel(feature);
+    if (label) out.push(label);
+    if (props.name && props.ref) {
+      const name = String(props.name).trim();
+      const ref = String(props.ref).trim();
+      if (name.startsWith(ref + ' ')) out.push(name.slice(ref.length + 1));
+    }
+    return [...new Set(out.map(normalizeAnswer).filter(Boolean))];
+  }
+
+  function levenshtein(a, b) {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Case-insensitive fuzzy match; short answers (building numbers) must be exact
+  function matchesAnswer(text, feature) {
+    const guess = normalizeAnswer(text);
+    if (!guess) return false;
+    return answerCandidates(feature).some(c => {
+      const tolerance = Math.min(3, Math.floor(c.length / 5));
+      return levenshtein(guess, c) <= tolerance;
+    });
+  }
+
+  function isTypeMode() {
+    return !!state.config && state.config.answerMode === 'type';
+  }
+
+  function isChoiceMode() {
+    return !!state.config && state.config.answerMode === 'choice';
+  }
+
+  // The map shows the region and the player names it (typed or picked)
+  function isReverseMode() {
+    return isTypeMode() || isChoiceMode();
+  }
+
+  function handleTypedAnswer(text) {
+    if (state.targetIndex >= state.order.length || state.isGameOver) return; // game over
+    if (state.isAdvancing) return;
+    if (!String(text || '').trim()) return;
+
+    const idx = state.order[state.targetIndex];
+    const targetFeature = state.features[idx];
+    const targetId = getFeatureId(targetFeature, idx);
+
+    const accepted = classIds(targetId).map(id => state.idToLayer.get(id)).filter(Boolean).map(l => l.feature);
+    if ([targetFeature, ...accepted].some(f => matchesAnswer(text, f))) {
+      answerInput.value = '';
+      acceptCorrectAnswer(targetId);
+      return;
+    }
+    state.attemptsForCurrent += 1;
+    state.wrongAnswersForCurrent.push(String(text).trim());
+    if (endIfSuddenDeath(targetId)) return;
+    answerInput.select();
+    if (state.attemptsForCurrent >= 3 && !state.hasRevealedForCurrent) {
+      state.hasRevealedForCurrent = true;
+      // Show the answer on the map and make the player type it to move on
+      addLabelForId(targetId);
+      setStatusWithIcon('wrong', `Nope! It's “${getPromptLabel(targetFeature, targetId)}”. Type it to continue.`);
+    } else {
+      setStatusWithIcon('wrong', 'Nope, try again.');
+    }
+    saveGameProgress();
+  }
+
+  // --- Multiple choice (beginner reverse mode) ---
+  const CHOICE_COUNT = 4;
+  const CHOICE_POOL = 6; // distractors are drawn from this many nearest / similar-ref features
 
-    state.labels.push({ id, marker, rect: labelRect });
-    state.labeledIds.add(id);
+  // Leading letters of the ref ("E53" -> "E", "NW14" -> "NW"), or the first digit of a number
+  function refPrefix(feature) {
+    const ref = propertyText(feature && feature.properties ? feature.properties.ref : null);
+    const m = ref ? ref.match(/^[A-Za-z]+|^\d/) : null;
+    return m ? m[0].toUpperCase() : null;
   }
 
-  function stopRevealBlink() {
-    if (state.revealIntervalId) {
-      clearInterval(state.revealIntervalId);
-      state.revealIntervalId = null;
-    }
-    if (state.revealTargetId) {
-      const lid = state.revealTargetId;
-      const lay = state.idToLayer.get(lid);
-      if (lay) lay.setStyle(persistentStyleForId(lid));
-      state.revealTargetId = null;
+  // The target plus distractors that are close on the map or share its ref
+  // prefix, so the right answer can't be guessed from the wrong ones
+  function buildChoices(targetIdx) {
+    const target = state.features[targetIdx];
+    const targetId = getFeatureId(target, targetIdx);
+    const targetLabel = getPromptLabel(target, targetId);
+    const center = featureCentroid(target);
+    const prefix = refPrefix(target);
+    const byDistance = [];
+    state.features.forEach((f, idx) => {
+      const label = getPromptLabel(f, getFeatureId(f, idx));
+      if (idx === targetIdx || !label || label === targetLabel || isSameAnswer(getFeatureId(f, idx), targetId)) return;
+      const c = featureCentroid(f);
+      byDistance.push({ idx, label, meters: center && c ? center.distanceTo(c) : Infinity, similar: !!prefix && refPrefix(f) === prefix });
+    });
+    byDistance.sort((a, b) => a.meters - b.meters);
+    const near = byDistance.slice(0, CHOICE_POOL);
+    const similar = byDistance.filter(c => c.similar).slice(0, CHOICE_POOL);
+    const picks = [];
+    // Tiny maps: top up with whatever is left
+    for (const c of [...shuffle([...new Set([...near, ...similar])]), ...byDistance]) {
+      if (picks.length >= CHOICE_COUNT - 1) break;
+      if (!picks.some(p => p.label === c.label)) picks.push(c);
     }
+    return shuffle([{ idx: targetIdx, label: targetLabel }, ...picks]);
   }
 
-  function startRevealBlink(targetId) {
-    stopRevealBlink();
-    const layer = state.idToLayer.get(targetId);
-    if (!layer) return;
-    state.revealTargetId = targetId;
-    let on = false;
-    state.revealIntervalId = setInterval(() => {
-      on = !on;
-      if (on) layer.setStyle({ ...styleDefaults, ...styleFlashWrong });
-      else layer.setStyle(persistentStyleForId(targetId));
-    }, REVEAL_BLINK_PERIOD_MS);
+  function renderChoices(targetIdx) {
+    choicesEl.innerHTML = '';
+    for (const choice of buildChoices(targetIdx)) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = choice.label;
+      btn.addEventListener('click', () => handleChoice(choice.idx, btn));
+      choicesEl.appendChild(btn);
+    }
   }
 
-  function handleBuildingClick(feature, layer, clickedId) {
-    if (state.targetIndex >= state.order.length) return; // game over
-    if (state.isRevealing) return; // ignore clicks while revealing
+  function handleChoice(choiceIdx, btn) {
+    if (state.targetIndex >= state.order.length || state.isGameOver) return; // game over
+    if (state.isAdvancing) return;
 
     const idx = state.order[state.targetIndex];
     const targetFeature = state.features[idx];
     const targetId = getFeatureId(targetFeature, idx);
 
-    if (clickedId === targetId) {
-      // Stop any ongoing reveal blink
-      stopRevealBlink();
-      // Correct
-      const attempts = state.attemptsForCurrent;
-      const points = (attempts === 0) ? 1 : 0; // first try only
-      state.resultsById.set(targetId, { attempts, skipped: false, points });
-
-      // Persist color
-      layer.setStyle(persistentStyleForId(targetId));
+    const chosenId = getFeatureId(state.features[choiceIdx], choiceIdx);
+    if (isSameAnswer(chosenId, targetId)) {
+      btn.classList.add('correct');
+      acceptCorrectAnswer(targetId);
+      return;
+    }
+    state.attemptsForCurrent += 1;
+    state.wrongIdsForCurrent.push(chosenId);
+    recordConfusion(targetId, chosenId);
+    btn.disabled = true;
+    btn.classList.add('wrong');
+    if (endIfSuddenDeath(targetId)) return;
+    if (state.attemptsForCurrent >= 3 && !state.hasRevealedForCurrent) {
+      state.hasRevealedForCurrent = true;
+      addLabelForId(targetId);
+      setStatusWithIcon('wrong', `Nope! It's “${getPromptLabel(targetFeature, targetId)}”. Pick it to continue.`);
+    } else {
+      setStatusWithIcon('wrong', 'Nope, try again.');
+    }
+    saveGameProgress();
+  }
 
-      // Status message
-      if (attempts === 0) setStatusWithIcon('correct', 'Nice! Correct on the first try.');
-      else if (attempts === 1) setStatusWithIcon('correct', 'Correct!');
-      else setStatusWithIcon('correct', `Correct!`);
+  // What the player got wrong this round, for the results review
+  function roundMistakes() {
+    const mistakes = {};
+    if (state.wrongIdsForCurrent.length) mistakes.wrongIds = [...state.wrongIdsForCurrent];
+    if (state.wrongAnswersForCurrent.length) mistakes.wrongAnswers = [...state.wrongAnswersForCurrent];
+    return mistakes;
+  }
 
-      state.score += points;
-      // targetIndex increments after delay; show updated score over attempted when next starts
-      updateScoreDisplay();
+  function handleBuildingClick(feature, layer, clickedId) {
+    if (state.targetIndex >= state.order.length || state.isGameOver) return; // game over
+    if (state.isRevealing) return; // ignore clicks while revealing
+    if (state.isAdvancing) return; // already answered, waiting for the next prompt
+    if (isReverseMode()) return; // reverse mode is answered by typing or picking a name
 
-      // Add non-overlapping label for this feature
-      addLabelForId(targetId);
+    const idx = state.order[state.targetIndex];
+    const targetFeature = state.features[idx];
+    const targetId = getFeatureId(targetFeature, idx);
 
-      // Advance after short delay
-      setTimeout(() => {
-        state.targetIndex += 1;
-        startRound();
-      }, ADVANCE_DELAY_MS);
+    if (isSameAnswer(clickedId, targetId)) {
+      acceptCorrectAnswer(targetId);
     } else {
       // Incorrect
       state.attemptsForCurrent += 1;
+      state.wrongIdsForCurrent.push(clickedId);
+      recordConfusion(targetId, clickedId);
       const prev = persistentStyleForId(clickedId);
-      layer.setStyle({ ...styleDefaults, ...styleFlashWrong });
+      layer.setStyle(flashStyleForId(clickedId));
+      const offset = isProximityScoring() ? offsetToTarget(feature, targetFeature) : null;
+      if (offset && state.firstMissMeters === null) state.firstMissMeters = offset.meters;
       if (state.attemptsForCurrent >= 3 && !state.hasRevealedForCurrent) {
         // Reveal the correct polygon by flashing it red for a few seconds
         const tLayer = state.idToLayer.get(targetId);
@@ -690,6 +3720,8 @@ out geom;`;
           // Start continuous blink on the correct polygon
           startRevealBlink(targetId);
         }
+      } else if (offset) {
+        setStatusWithIcon('wrong', `Nope — ${formatDistance(offset.meters)} ${offset.direction}.`);
       } else {
         setStatusWithIcon('wrong', 'Nope, try again.');
       }
@@ -697,11 +3729,13 @@ out geom;`;
       setTimeout(() => {
         layer.setStyle(prev);
       }, WRONG_FLASH_MS);
+      if (!endIfSuddenDeath(targetId)) saveGameProgress();
     }
   }
 
   function skipCurrent() {
-    if (state.targetIndex >= state.order.length) return;
+    if (state.targetIndex >= state.order.length || state.isGameOver) return;
+    if (state.isAdvancing) return;
     stopRevealBlink();
 
     const idx = state.order[state.targetIndex];
@@ -709,34 +3743,203 @@ out geom;`;
     const id = getFeatureId(feature, idx);
 
     // Treat skip as wrong: set attempts to 2 (worst), no points, not skipped
-    state.resultsById.set(id, { attempts: 2, skipped: false, points: 0 });
+    const timeMs = Date.now() - state.roundStartedAt;
+    state.resultsById.set(id, { attempts: 2, skipped: false, points: 0, timeMs, gaveUp: true, ...roundMistakes() });
+    recordLearning(id, { attempts: 2, skipped: true });
 
     // Add label so skipped items are remembered
     addLabelForId(id);
-    const layer = state.idToLayer.get(id);
-    if (layer) layer.setStyle(persistentStyleForId(id));
+    restyleClass(id);
 
     state.targetIndex += 1;
     updateScoreDisplay();
+    if (isSuddenDeath()) return endGame('miss');
+    saveGameProgress();
     startRound();
   }
 
-  function endGame() {
-    // Summaries
-    let zero = 0, one = 0, twoPlus = 0, skipped = 0;
-    for (const [_, res] of state.resultsById) {
-      if (res.skipped) skipped += 1;
-      else if (res.attempts === 0) zero += 1;
-      else if (res.attempts === 1) one += 1;
-      else twoPlus += 1;
+  // --- Game modes: clocks and local high scores ---
+  const GAME_MODE_LABELS = {
+    standard: 'Standard',
+    countdown: 'Countdown',
+    speedrun: 'Speedrun',
+    'sudden-death': 'Sudden death',
+  };
+
+  function currentGameMode() {
+    return (state.config && state.config.gameMode) || DEFAULTS.gameMode;
+  }
+  function isSuddenDeath() { return currentGameMode() === 'sudden-death'; }
+
+  function formatDuration(ms) {
+    const totalTenths = Math.max(0, Math.floor(ms / 100));
+    const minutes = Math.floor(totalTenths / 600);
+    const seconds = Math.floor(totalTenths / 10) % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${totalTenths % 10}`;
+  }
+
+  function renderClock() {
+    const mode = currentGameMode();
+    const elapsed = Date.now() - state.gameStartedAt;
+    if (mode === 'countdown') {
+      const left = COUNTDOWN_MS - elapsed;
+      timerEl.textContent = `⏱ ${formatDuration(left)} left`;
+      if (left <= 0) endGame('timeout');
+    } else {
+      timerEl.textContent = `⏱ ${formatDuration(elapsed)}`;
+    }
+  }
+
+  function stopGameClock() {
+    if (state.clockIntervalId) {
+      clearInterval(state.clockIntervalId);
+      state.clockIntervalId = null;
+    }
+  }
+
+  // Called at the start of every game (new data or restart)
+  function startGameClock() {
+    stopGameClock();
+    state.isGameOver = false;
+    state.gameStartedAt = Date.now();
+    leaderboardEl.hidden = true;
+    resultsEl.hidden = true;
+    showResultsBtn.hidden = true;
+    nextZoneBtn.hidden = true;
+    renderChallenge();
+    shareBtn.textContent = 'Share';
+    shareUrlInput.hidden = true;
+    const timed = currentGameMode() !== 'standard';
+    timerEl.hidden = !timed;
+    if (!timed) return;
+    renderClock();
+    state.clockIntervalId = setInterval(renderClock, CLOCK_TICK_MS);
+  }
+
+  // Sudden death: the first miss records the target as failed and ends the game
+  function endIfSuddenDeath(targetId) {
+    if (!isSuddenDeath()) return false;
+    const timeMs = Date.now() - state.roundStartedAt;
+    const res = { attempts: state.attemptsForCurrent, skipped: false, points: 0, timeMs, failed: true, ...roundMistakes() };
+    state.resultsById.set(targetId, res);
+    recordLearning(targetId, res);
+    restyleClass(targetId);
+    addLabelForId(targetId);
+    endGame('miss');
+    return true;
+  }
+
+  function summarizeRun(elapsedMs) {
+    let found = 0, misses = 0;
+    for (const res of state.resultsById.values()) {
+      if (res.gaveUp || res.skipped) continue;
+      if (isSuddenDeath() && res.points === 0) continue;
+      found += 1;
+      misses += res.attempts;
     }
+    return { score: state.score, found, misses, timeMs: elapsedMs, date: Date.now() };
+  }
+
+  // Higher is better for everything except speedrun time
+  function compareRuns(mode, a, b) {
+    if (mode === 'speedrun') return (a.timeMs - b.timeMs) || (b.score - a.score);
+    if (mode === 'standard') return (b.score - a.score) || (a.timeMs - b.timeMs);
+    return (b.found - a.found) || (a.misses - b.misses) || (a.timeMs - b.timeMs);
+  }
+
+  // Each difficulty has its own table; easy keeps the original key. So do
+  // proximity scoring (partial credit isn't comparable with binary points),
+  // the zone stage and each zone picked from a larger map.
+  function highScoresKey(mapKey, mode) {
+    const difficulty = currentDifficulty();
+    const cfg = state.config || {};
+    const preset = mapKey.startsWith('preset:') ? findPreset(mapKey.slice('preset:'.length)) : null;
+    const ownGroup = preset && preset.group;
+    const subset = isZoneStage(cfg) ? ':zones' : (cfg.group && cfg.group !== ownGroup ? `:group=${cfg.group}` : '');
+    return `building-guessr:highscores:${mapKey}${subset}:${mode}` + (difficulty === 'easy' ? '' : `:${difficulty}`) +
+      (isProximityScoring() ? ':proximity' : '');
+  }
+  function loadHighScores(mapKey, mode) {
+    try {
+      const raw = localStorage.getItem(highScoresKey(mapKey, mode));
+      const list = raw ? JSON.parse(raw) : [];
+      return Array.isArray(list) ? list : [];
+    } catch (_) { return []; }
+  }
+  // Insert a run and return { list, rank } (rank is -1 if it didn't make the table)
+  function recordHighScore(mapKey, mode, run) {
+    const list = loadHighScores(mapKey, mode);
+    list.push(run);
+    list.sort((a, b) => compareRuns(mode, a, b));
+    const kept = list.slice(0, HIGH_SCORES_KEPT);
+    try {
+      localStorage.setItem(highScoresKey(mapKey, mode), JSON.stringify(kept));
+    } catch (_) { /* ignore */ }
+    return { list: kept, rank: kept.indexOf(run) };
+  }
+
+  function describeRun(mode, run) {
+    if (mode === 'speedrun') return `${formatDuration(run.timeMs)} • ${formatScore(run.score)} pts`;
+    if (mode === 'standard') return `${formatScore(run.score)} pts • ${formatDuration(run.timeMs)}`;
+    return `${run.found} found • ${run.misses} misses • ${formatDuration(run.timeMs)}`;
+  }
+
+  function renderLeaderboard(mode, list, rank) {
+    leaderboardEl.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'leaderboard-title';
+    const difficulty = currentDifficulty();
+    title.textContent = `High scores — ${GAME_MODE_LABELS[mode] || mode}` + (difficulty === 'easy' ? '' : `, ${DIFFICULTY_LABELS[difficulty]}`);
+    const ol = document.createElement('ol');
+    list.forEach((run, i) => {
+      const li = document.createElement('li');
+      li.textContent = `${describeRun(mode, run)} (${new Date(run.date).toLocaleDateString()})`;
+      if (i === rank) li.className = 'current';
+      ol.appendChild(li);
+    });
+    leaderboardEl.append(title, ol);
+    leaderboardEl.hidden = false;
+  }
+
+  // reason: undefined (all prompts answered), 'timeout' (countdown) or 'miss' (sudden death)
+  function endGame(reason) {
+    if (state.isGameOver) return;
+    state.isGameOver = true;
+    stopGameClock();
+    stopRevealBlink();
+    clearSavedGame();
+    const mode = currentGameMode();
+    const elapsedMs = Date.now() - state.gameStartedAt;
+    state.lastRunMs = elapsedMs;
 
-    const total = state.features.length;
-    const msg = `Done! 🎉\n` +
-      `Total: ${total}. Score: ${state.score} / ${state.maxScore}.\n` +
-      `0 misses: ${zero}, 1 miss: ${one}, 2+ misses: ${twoPlus}, skipped: ${skipped}.`;
+    const heading = reason === 'timeout' ? `Time's up! ⏱`
+      : reason === 'miss' ? 'Sudden death — that was a miss.'
+      : 'Done! 🎉';
     setPrompt('All done');
-    setStatus(msg);
+    setStatus(`${heading}\nScore: ${formatScore(state.score)} / ${state.maxScore}.`);
+    answerForm.hidden = true;
+    choicesEl.hidden = true;
+    if (mode !== 'standard') timerEl.textContent = `⏱ ${formatDuration(mode === 'countdown' ? Math.min(elapsedMs, COUNTDOWN_MS) : elapsedMs)}`;
+
+    // A speedrun only counts if the whole set was found, none of it skipped.
+    // Drills play a few regions of the map, so they don't count as runs of it.
+    const mapKey = state.config && state.config.mapKey;
+    const skippedAny = [...state.resultsById.values()].some(res => res.gaveUp);
+    const partialRun = !!state.config && (state.config.transient || state.config.promptOrder === 'drill');
+    if (mapKey && !partialRun && !(mode === 'speedrun' && (reason || skippedAny))) {
+      const { list, rank } = recordHighScore(mapKey, mode, summarizeRun(elapsedMs));
+      renderLeaderboard(mode, list, rank);
+    }
+    renderChallenge();
+    showResults();
+    if (isChunked(state.config) && state.config.group && !isZoneStage(state.config) && !partialRun) {
+      recordChunkResult(state.config.group);
+      renderChunkPicker(state.config);
+      setStatus(`${heading}\nScore: ${formatScore(state.score)} / ${state.maxScore}. ${describeChunkGate(state.config.group)}`);
+    }
+    const next = nextStage(state.config);
+    nextZoneBtn.hidden = !next;
+    if (next) nextZoneBtn.textContent = `Next: ${next.group}`;
 
     // Show controls
     skipBtn.disabled = true;
@@ -744,162 +3947,859 @@ out geom;`;
   }
 
   function restartSameConfig() {
+    // Reshuffle (or reschedule, in review mode; re-pick pairs, in drill mode) and reset
+    if (state.config && state.config.promptOrder === 'drill' && !canDrill(state.features)) {
+      setStatusWithIcon('wrong', NO_DRILL_MESSAGE);
+      return;
+    }
+    state.resultsById.clear();
+    clearSavedGame();
+    state.seed = (state.config && state.config.seed) || randomSeed(); // challenges replay the same order
+    state.order = buildPromptOrder(state.features);
+    updateActiveIds();
+
     // Clear persistent results and styles
     for (const [id, layer] of state.idToLayer) {
-      layer.setStyle(styleDefaults);
+      layer.setStyle(persistentStyleForId(id));
     }
-    state.resultsById.clear();
     // Clear any text labels
     clearLabels();
 
-    // Reshuffle and reset
-    state.order = shuffle([...state.features.keys()]);
     state.targetIndex = 0;
     state.attemptsForCurrent = 0;
     state.score = 0;
-    state.maxScore = state.features.length * 3;
+    state.maxScore = state.order.length;
+    updateScoreDisplay();
+
+    startGameClock();
+    startRound();
+    if (state.config && state.config.promptOrder === 'review') setStatus(describeReviewQueue(state.features));
+    if (state.config && state.config.promptOrder === 'drill') setStatus(describeDrill());
+  }
+
+  // --- Seeded order and challenge links ---
+  // A challenge link reloads the same map with the same seed, so the prompts
+  // come in the same order, and carries the sender's result for comparison.
+
+  // mulberry32: tiny 32-bit PRNG, plenty for shuffling
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(a ^ (a >>> 15), a | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Seeds are short strings in URLs; FNV-1a hashes them to 32 bits
+  function seedToInt(seed) {
+    let h = 0x811c9dc5;
+    for (const ch of String(seed)) {
+      h ^= ch.codePointAt(0);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+  }
+
+  // One character per prompt, in order: 0-2 misses, x revealed or skipped, - not reached
+  function encodeAttempts() {
+    return state.order.map(idx => {
+      const res = state.resultsById.get(getFeatureId(state.features[idx], idx));
+      if (!res) return '-';
+      if (res.gaveUp || res.skipped || res.attempts >= 3) return 'x';
+      return String(res.attempts);
+    }).join('');
+  }
+
+  // vs=<score>_<tenths of a second>_<attempts>
+  function encodeChallengeResult() {
+    return `${formatScore(state.score)}_${Math.round(state.lastRunMs / 100)}_${encodeAttempts()}`;
+  }
+
+  function parseChallengeResult(text) {
+    const m = /^(\d+(?:\.\d+)?)_(\d+)_([012x-]*)$/.exec(String(text || ''));
+    if (!m) return null;
+    return { score: Number(m[1]), timeMs: Number(m[2]) * 100, attempts: m[3] };
+  }
+
+  // Shaped like summarizeRun() so compareRuns() can rank the two
+  function summarizeChallenge(challenge) {
+    let found = 0, misses = 0;
+    for (const ch of challenge.attempts) {
+      if (/[012]/.test(ch)) { found += 1; misses += Number(ch); }
+    }
+    return { score: challenge.score, found, misses, timeMs: challenge.timeMs };
+  }
+
+  const ATTEMPT_LABELS = { 0: 'first try', 1: '1 miss', 2: '2 misses', x: 'revealed', '-': '—' };
+
+  // Before and during play: the score to beat. After: both results and the prompts where they differ.
+  function renderChallenge() {
+    const challenge = state.config && state.config.challenge;
+    challengeEl.innerHTML = '';
+    challengeEl.hidden = !challenge;
+    if (!challenge) return;
+    const mode = currentGameMode();
+    const them = summarizeChallenge(challenge);
+    if (!state.isGameOver) {
+      challengeEl.textContent = `Challenge: beat ${describeRun(mode, them)}.`;
+      return;
+    }
+    const you = summarizeRun(state.lastRunMs);
+    const order = compareRuns(mode, you, them);
+    const verdict = document.createElement('div');
+    verdict.className = 'challenge-title';
+    verdict.textContent = order < 0 ? 'You beat the challenge!' : order > 0 ? 'They win this one.' : "It's a tie.";
+    const totals = document.createElement('div');
+    totals.textContent = `You: ${describeRun(mode, you)} • Them: ${describeRun(mode, them)}`;
+    challengeEl.append(verdict, totals);
+
+    const mine = encodeAttempts();
+    if (challenge.attempts.length !== mine.length) {
+      const note = document.createElement('div');
+      note.textContent = 'The map has changed since this challenge was shared, so only totals are compared.';
+      challengeEl.appendChild(note);
+      return;
+    }
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Prompt</th><th>You</th><th>Them</th></tr></thead>';
+    const body = document.createElement('tbody');
+    state.order.forEach((idx, i) => {
+      if (mine[i] === challenge.attempts[i]) return;
+      const feature = state.features[idx];
+      const tr = document.createElement('tr');
+      for (const text of [getPromptLabel(feature, getFeatureId(feature, idx)), ATTEMPT_LABELS[mine[i]], ATTEMPT_LABELS[challenge.attempts[i]]]) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      body.appendChild(tr);
+    });
+    if (!body.children.length) {
+      const same = document.createElement('div');
+      same.textContent = 'Identical results on every prompt.';
+      challengeEl.appendChild(same);
+      return;
+    }
+    table.appendChild(body);
+    challengeEl.appendChild(table);
+  }
+
+  // URL params that reload the current map elsewhere, or null when the data
+  // only exists in this browser (local files, custom presets, edited maps, replays)
+  function shareableSourceParams(cfg) {
+    const ps = new URLSearchParams();
+    const [kind, ...rest] = (cfg.mapKey || '').split(':');
+    if (cfg.transient || kind === 'file') return null;
+    if (kind === 'preset') {
+      const key = rest.join(':');
+      if (!PRESETS.some(p => p.key === key)) return null;
+      ps.set('preset', key);
+      if (cfg.presetsUrl) ps.set('presets', cfg.presetsUrl);
+    } else if (cfg.dataUrl) {
+      ps.set('geojson', cfg.dataUrl);
+    } else if (cfg.rawQuery) {
+      ps.set('query', cfg.rawQuery);
+    } else {
+      const areaType = cfg.areaType || DEFAULTS.areaType;
+      if (areaType === 'bbox') ps.set('bbox', cfg.bbox.join(','));
+      else if (areaType === 'area') ps.set('area', cfg.areaName);
+      else ps.set('relationId', cfg.relationId);
+      ps.set('filters', (cfg.filters || DEFAULTS.filters).split(/\n+/).join(';'));
+    }
+    if (cfg.group) ps.set('group', cfg.group);
+    if (cfg.groupProperty && kind !== 'preset') ps.set('groupBy', cfg.groupProperty); // presets bring their own
+    // Options that change which features are in play, or how they're scored
+    if ((cfg.promptField || DEFAULTS.promptField) !== DEFAULTS.promptField) ps.set('promptField', cfg.promptField);
+    if (cfg.includeLines) ps.set('lines', '1');
+    if (cfg.includePoints) ps.set('points', '1');
+    if ((cfg.cleanup || DEFAULTS.cleanup) !== DEFAULTS.cleanup) ps.set('cleanup', cfg.cleanup === 'on' ? '1' : '0');
+    for (const key of ['answerMode', 'gameMode', 'scoring', 'difficulty', 'zoneMode', 'chunking', 'chunkTag']) {
+      if (cfg[key] && cfg[key] !== DEFAULTS[key]) ps.set(key, cfg[key]);
+    }
+    return ps;
+  }
+
+  // Mid-game this shares the order only; once finished it includes the result
+  async function shareChallenge() {
+    const ps = state.config ? shareableSourceParams(state.config) : null;
+    if (!ps) {
+      setStatus("This map only exists in your browser, so it can't be shared as a link. Export it instead.");
+      return;
+    }
+    ps.set('seed', state.seed);
+    if (state.isGameOver) ps.set('vs', encodeChallengeResult());
+    const url = `${window.location.origin}${window.location.pathname}?${ps}`;
+    shareUrlInput.value = url;
+    shareUrlInput.hidden = false;
+    shareUrlInput.select();
+    try {
+      await navigator.clipboard.writeText(url);
+      shareBtn.textContent = 'Link copied';
+    } catch (_) { /* the selected field lets people copy it by hand */ }
+  }
+
+  // --- Saved game (resume after a reload) ---
+  // One slot under building-guessr:savedGame, rewritten after every answer:
+  // { cfg, title, fileName?, seed, order: [featureId], results: [[featureId, result]],
+  //   score, elapsedMs, total, savedAt }. cfg.mapKey (plus cfg.dataUrl for
+  // URLs) says where to reload the features from. Timed modes aren't saved,
+  // since their clock can't meaningfully pause.
+  function isResumable(cfg) {
+    return !!cfg && !!cfg.mapKey && !cfg.transient && (cfg.gameMode || DEFAULTS.gameMode) === 'standard';
+  }
+
+  function savedGameTitle(cfg) {
+    const [kind, ...rest] = cfg.mapKey.split(':');
+    if (kind === 'preset') {
+      const preset = findPreset(rest.join(':'));
+      const label = preset ? preset.label : rest.join(':');
+      return cfg.group ? `${label} – ${cfg.group}` : label;
+    }
+    if (kind === 'file' && localFile) return localFile.name;
+    if (cfg.dataUrl) return cfg.dataUrl.split('/').pop() || cfg.dataUrl;
+    return defaultPresetName();
+  }
+
+  // Misses so far on the prompt being played, so a reload doesn't forgive them
+  function currentRoundProgress() {
+    if (state.targetIndex >= state.order.length || !state.attemptsForCurrent) return undefined;
+    const idx = state.order[state.targetIndex];
+    return {
+      id: getFeatureId(state.features[idx], idx),
+      attempts: state.attemptsForCurrent,
+      wrongIds: state.wrongIdsForCurrent,
+      wrongAnswers: state.wrongAnswersForCurrent,
+      firstMissMeters: state.firstMissMeters,
+    };
+  }
+
+  function restoreRoundProgress(current) {
+    if (!current || state.targetIndex >= state.order.length || state.isGameOver) return;
+    const idx = state.order[state.targetIndex];
+    const targetId = getFeatureId(state.features[idx], idx);
+    if (current.id !== targetId) return;
+    state.attemptsForCurrent = current.attempts || 0;
+    state.wrongIdsForCurrent = Array.isArray(current.wrongIds) ? current.wrongIds : [];
+    state.wrongAnswersForCurrent = Array.isArray(current.wrongAnswers) ? current.wrongAnswers : [];
+    state.firstMissMeters = Number.isFinite(current.firstMissMeters) ? current.firstMissMeters : null;
+    if (state.attemptsForCurrent >= 3) {
+      state.hasRevealedForCurrent = true;
+      addLabelForId(targetId);
+      if (!isReverseMode()) startRevealBlink(targetId);
+    }
+  }
+
+  function saveGameProgress() {
+    const cfg = state.config;
+    if (!isResumable(cfg) || state.isGameOver) return;
+    const saved = {
+      cfg,
+      title: savedGameTitle(cfg),
+      fileName: localFile && cfg.mapKey === `file:${localFile.hash}` ? localFile.name : undefined,
+      seed: state.seed,
+      order: state.order.map(idx => getFeatureId(state.features[idx], idx)),
+      results: [...state.resultsById],
+      score: state.score,
+      elapsedMs: Date.now() - state.gameStartedAt,
+      total: state.features.length,
+      current: currentRoundProgress(),
+      savedAt: Date.now(),
+    };
+    try {
+      localStorage.setItem('building-guessr:savedGame', JSON.stringify(saved));
+    } catch (_) { /* ignore */ }
+  }
+
+  function loadSavedGame() {
+    try {
+      const raw = localStorage.getItem('building-guessr:savedGame');
+      const saved = raw ? JSON.parse(raw) : null;
+      return saved && saved.cfg && Array.isArray(saved.order) && Array.isArray(saved.results) ? saved : null;
+    } catch (_) { return null; }
+  }
+
+  function clearSavedGame() {
+    try { localStorage.removeItem('building-guessr:savedGame'); } catch (_) { /* ignore */ }
+    pendingResume = null;
+  }
+
+  function renderResumeOffer() {
+    const saved = loadSavedGame();
+    resumeEl.hidden = !saved;
+    if (!saved) return;
+    const done = saved.results.length;
+    resumeSummary.textContent = `${saved.title}: ${done} of ${saved.total} done, ` +
+      `score ${formatScore(saved.score)} (saved ${new Date(saved.savedAt).toLocaleDateString()})`;
+  }
+
+  // Reloads the saved game's data through the usual loader; initializeGame
+  // then picks up pendingResume instead of starting a fresh round.
+  function resumeSavedGame() {
+    const saved = loadSavedGame();
+    if (!saved) return renderResumeOffer();
+    const cfg = { ...saved.cfg };
+    const [kind, ...rest] = cfg.mapKey.split(':');
+    configError.textContent = '';
+    clearLabels();
+    pendingResume = saved;
+    if (kind === 'preset') {
+      return presetsReady
+        .then(() => cfg.presetsUrl && addPresetPacks([cfg.presetsUrl]))
+        .then(() => {
+          const preset = findPreset(rest.join(':'));
+          if (preset) return startPreset(preset, cfg);
+          pendingResume = null;
+          configError.textContent = 'The preset for the saved game no longer exists.';
+        });
+    } else if (kind === 'file') {
+      if (localFile && cfg.mapKey === `file:${localFile.hash}`) {
+        return startLocalFileGame(cfg).catch(err => {
+          pendingResume = null;
+          configError.textContent = `Failed to resume: ${err.message || err}`;
+        });
+      }
+      // Browsers can't reopen a file by themselves; the hash check in
+      // initializeGame makes sure it's the same one
+      configError.textContent = `Open ${saved.fileName || 'the same map file'} again to resume.`;
+      mapFileInput.click();
+    } else if (cfg.dataUrl) {
+      return loadMapFromUrlAndStartGame(cfg, cfg.dataUrl);
+    } else {
+      return loadOverpassAndStartGame(cfg);
+    }
+  }
+
+  // Puts the saved order, results, score and clock back on the freshly loaded map.
+  // Features are matched by id, so ones missing from the reloaded data drop out
+  // and new ones are appended to the order (unless it was a subset, like a drill).
+  function restoreSavedGame(saved) {
+    const indexById = new Map(state.features.map((f, idx) => [getFeatureId(f, idx), idx]));
+    const order = saved.order.filter(id => indexById.has(id)).map(id => indexById.get(id));
+    if (saved.order.length >= saved.total) {
+      const inOrder = new Set(order);
+      state.features.forEach((_, idx) => { if (!inOrder.has(idx)) order.push(idx); });
+    }
+    state.order = order;
+    if (saved.seed) state.seed = saved.seed;
+    updateActiveIds();
+    state.maxScore = order.length;
+
+    state.resultsById.clear();
+    for (const [id, res] of saved.results) {
+      if (indexById.has(id)) state.resultsById.set(id, res);
+    }
+    for (const [id, layer] of state.idToLayer) layer.setStyle(persistentStyleForId(id));
+    for (const id of state.resultsById.keys()) addLabelForId(id);
+    state.score = saved.score || 0;
+    state.targetIndex = order.findIndex(idx => !state.resultsById.has(getFeatureId(state.features[idx], idx)));
+    if (state.targetIndex < 0) state.targetIndex = order.length;
     updateScoreDisplay();
 
+    startGameClock();
+    state.gameStartedAt = Date.now() - (saved.elapsedMs || 0);
     startRound();
+    restoreRoundProgress(saved.current);
+    if (!state.isGameOver) setStatus(`Resumed: ${state.resultsById.size} of ${order.length} done.`);
   }
 
   // Events
+  resumeBtn.addEventListener('click', resumeSavedGame);
+
   configForm.addEventListener('submit', (e) => {
     e.preventDefault();
     const cfg = gatherConfigFromInputs();
-    if (!cfg.relationId) {
-      configError.textContent = 'Please enter a valid relation ID.';
+    try {
+      buildOverpassQuery(cfg);
+    } catch (err) {
+      configError.textContent = err.message || String(err);
       return;
     }
     saveConfigToLocalStorage(cfg);
     loadOverpassAndStartGame(cfg);
   });
 
+  input.areaType.addEventListener('change', updateAreaInputs);
+  // Keep the query preview in step with the search area, filters and raw QL
+  configForm.addEventListener('input', updateQueryPreview);
+  configForm.addEventListener('change', updateQueryPreview);
+
+  input.promptField.addEventListener('change', () => {
+    input.promptTemplate.hidden = input.promptField.value !== 'template';
+    if (!input.promptTemplate.hidden) input.promptTemplate.focus();
+  });
+
   configToggleBtn.addEventListener('click', () => {
     // Opening config should clear any labels left on the map
     clearLabels();
     showConfigPanel();
   });
 
+  answerForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleTypedAnswer(answerInput.value);
+  });
+  mapFileInput.addEventListener('change', () => {
+    const file = mapFileInput.files && mapFileInput.files[0];
+    if (file) loadLocalFileAndStartGame(file);
+    mapFileInput.value = ''; // allow picking the same file again
+  });
+  // Replay the last file with whatever is currently set in the panel
+  replayFileBtn.addEventListener('click', async () => {
+    if (!localFile) return;
+    configError.textContent = '';
+    try {
+      clearLabels();
+      await startLocalFileGame(gatherConfigFromInputs());
+    } catch (err) {
+      console.error(err);
+      configError.textContent = `Failed to start ${localFile.name}: ${err.message || err}`;
+    }
+  });
+
+  // Drop a map file anywhere on the page
+  function isFileDrag(e) {
+    return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+  }
+  document.addEventListener('dragover', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    dropOverlay.hidden = false;
+  });
+  document.addEventListener('dragleave', (e) => {
+    // relatedTarget is null once the pointer leaves the window
+    if (!e.relatedTarget) dropOverlay.hidden = true;
+  });
+  document.addEventListener('drop', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dropOverlay.hidden = true;
+    const file = e.dataTransfer.files && e.dataTransfer.files[0];
+    if (file) loadLocalFileAndStartGame(file);
+  });
+
   skipBtn.addEventListener('click', skipCurrent);
+  for (const handle of document.querySelectorAll('.sheet-handle')) {
+    handle.addEventListener('click', () => toggleSheet(handle.closest('.panel'), handle));
+  }
+  // Capture phase: runs before Leaflet's own keyboard handler on the map
+  document.addEventListener('keydown', handleGameKeydown, true);
+  patternsInput.checked = loadPatternsPreference();
+  patternsInput.addEventListener('change', () => setPatternsPreference(patternsInput.checked));
   restartBtn.addEventListener('click', restartSameConfig);
   if (exitBtn) exitBtn.addEventListener('click', () => {
     // Exit to configuration screen
+    cancelLoad();
+    resultsEl.hidden = true;
     stopRevealBlink();
+    stopGameClock();
+    closeMagnifier();
+    answerForm.hidden = true;
+    choicesEl.hidden = true;
     clearLabels();
+    applyBaseMapDifficulty('easy'); // the map behind the settings stays readable
     showConfigPanel();
     hideUI();
   });
   if (exportBtn) exportBtn.addEventListener('click', exportCurrentGeoJSON);
-  // Build preset buttons and handlers from PRESETS
-  (function renderPresetButtons() {
+  shareBtn.addEventListener('click', shareChallenge);
+  showResultsBtn.addEventListener('click', showResults);
+  replayMissedBtn.addEventListener('click', replayMissed);
+  graduateBtn.addEventListener('click', playMasteredByClicking);
+  nextZoneBtn.addEventListener('click', playNextZone);
+  chunkSelect.addEventListener('change', () => playGroup({ group: chunkSelect.value }));
+  input.chunking.addEventListener('change', () => {
+    input.chunkTag.hidden = input.chunking.value !== 'tag';
+  });
+  document.getElementById('results-export-csv').addEventListener('click', exportResultsCsv);
+  document.getElementById('results-export-json').addEventListener('click', exportResultsJson);
+  document.getElementById('results-close').addEventListener('click', () => { resultsEl.hidden = true; });
+  loadCancelBtn.addEventListener('click', () => {
+    if (cancelLoad()) configError.textContent = 'Loading cancelled.';
+  });
+  offlineBtn.addEventListener('click', saveCurrentMapOffline);
+  function findPreset(key) {
+    return PRESETS.find(p => p.key === key) || loadCustomPresets().find(p => p.key === key) || null;
+  }
+
+  // Manifest presets load from a path; custom ones from localStorage
+  function startPreset(preset, cfg) {
+    cfg.mapKey = `preset:${preset.key}`;
+    if (!preset.path) return loadCustomPresetAndStartGame(cfg, preset);
+    // Saved games and challenge links need to find presets from other packs again
+    if (preset.manifestUrl !== absoluteUrl(BUILTIN_PRESETS_URL)) cfg.presetsUrl = preset.manifestUrl;
+    if (preset.promptField && cfg.promptField === DEFAULTS.promptField) cfg.promptField = preset.promptField;
+    // Subsets of a shared file (e.g. one campus of mit-all.geojson) are presets with a group
+    if (preset.group && isChunked(cfg)) cfg.chunkWithin = preset.group;
+    else if (preset.group && !cfg.group) cfg.group = preset.group;
+    if (preset.groupProperty) cfg.groupProperty = preset.groupProperty;
+    if (preset.zones) cfg.zonesUrl = preset.zones;
+    if (preset.bounds && map) map.fitBounds(preset.bounds); // preview the area while it loads
+    return loadMapFromUrlAndStartGame(cfg, preset.path);
+  }
+
+  function absoluteUrl(url) {
+    return new URL(url, window.location.href).href;
+  }
+
+  // Manifest: { title, presets: [{ key, title, description, category, region,
+  // path, featureCount, promptField, bounds: [[s, w], [n, e]], difficulty,
+  // group, groupProperty, groups: [name], zones }] }. "group" plays one subset
+  // of the file; "groups" lists subsets to offer as chips; "zones" is a layer
+  // of zone polygons. Paths are relative to the manifest, so a pack can be
+  // hosted anywhere.
+  function normalizePresetEntry(entry, manifestUrl, packTitle) {
+    if (!entry || typeof entry.key !== 'string' || !entry.key || typeof entry.path !== 'string') return null;
+    const text = (v) => (v === undefined || v === null ? '' : String(v).trim());
+    const bounds = Array.isArray(entry.bounds) && entry.bounds.length === 2 &&
+      entry.bounds.every(c => Array.isArray(c) && c.length === 2 && c.every(Number.isFinite)) ? entry.bounds : null;
+    return {
+      key: entry.key,
+      label: text(entry.title) || entry.key,
+      description: text(entry.description),
+      category: text(entry.category) || text(packTitle) || 'Presets',
+      region: text(entry.region),
+      path: new URL(entry.path, manifestUrl).href,
+      featureCount: Number.isFinite(entry.featureCount) ? entry.featureCount : null,
+      promptField: text(entry.promptField) || null,
+      bounds,
+      difficulty: text(entry.difficulty),
+      group: text(entry.group) || null,
+      groupProperty: text(entry.groupProperty) || null,
+      groups: Array.isArray(entry.groups) ? entry.groups.map(text).filter(Boolean) : [],
+      zones: typeof entry.zones === 'string' && entry.zones ? new URL(entry.zones, manifestUrl).href : null,
+      manifestUrl,
+    };
+  }
+
+  async function fetchPresetManifest(url) {
+    const manifestUrl = absoluteUrl(url);
+    const resp = await fetch(manifestUrl, { mode: 'cors' });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const manifest = await resp.json();
+    if (!manifest || !Array.isArray(manifest.presets)) throw new Error('not a preset manifest (no "presets" list)');
+    return manifest.presets.map(entry => normalizePresetEntry(entry, manifestUrl, manifest.title)).filter(Boolean);
+  }
+
+  // Loads packs in order; when two packs use the same key, the first one wins
+  async function addPresetPacks(urls) {
+    const pending = urls.filter(url => !loadedPresetPacks.has(absoluteUrl(url)));
+    const packs = await Promise.all(pending.map(url => fetchPresetManifest(url).catch(err => {
+      console.warn('Preset pack failed to load', url, err);
+      configError.textContent = `Could not load presets from ${url}: ${err.message || err}`;
+      return [];
+    })));
+    pending.forEach(url => loadedPresetPacks.add(absoluteUrl(url)));
+    for (const preset of packs.flat()) {
+      if (!PRESETS.some(p => p.key === preset.key)) PRESETS.push(preset);
+    }
+    renderPresetButtons();
+  }
+
+  function presetButton(preset, label, group) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.id = group ? `preset-${preset.key}-${group}` : `preset-${preset.key}`;
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      const cfg = gatherConfigFromInputs();
+      if (group) cfg.group = group;
+      try {
+        const u = new URL(window.location.href);
+        const ps = new URLSearchParams(u.search);
+        ps.set('preset', preset.key);
+        if (group) ps.set('group', group); else ps.delete('group');
+        ps.delete('geojson');
+        ps.delete('relationId'); ps.delete('relationid'); ps.delete('rel');
+        ps.delete('area'); ps.delete('bbox'); ps.delete('query');
+        ps.delete('seed'); ps.delete('vs'); // a new game is no longer the shared challenge
+        const newSearch = ps.toString();
+        const newUrl = u.pathname + (newSearch ? `?${newSearch}` : '') + u.hash;
+        window.history.replaceState(null, '', newUrl);
+      } catch (e) {
+        console.warn('Unable to update URL for preset share', e);
+      }
+      // Clear labels immediately when switching presets
+      clearLabels();
+      startPreset(preset, cfg);
+    });
+    return btn;
+  }
+
+  function presetCard(preset) {
+    const btn = presetButton(preset, '');
+    btn.classList.add('preset-card');
+    const title = document.createElement('span');
+    title.className = 'preset-card-title';
+    title.textContent = preset.label;
+    btn.appendChild(title);
+    if (preset.description) {
+      const description = document.createElement('span');
+      description.className = 'preset-card-description';
+      description.textContent = preset.description;
+      btn.appendChild(description);
+    }
+    const meta = [
+      preset.featureCount ? `${preset.featureCount} regions` : '',
+      preset.region,
+      preset.difficulty ? `difficulty: ${preset.difficulty}` : '',
+    ].filter(Boolean).join(' · ');
+    if (meta) {
+      const metaEl = document.createElement('span');
+      metaEl.className = 'preset-card-meta';
+      metaEl.textContent = meta;
+      btn.appendChild(metaEl);
+    }
+    return btn;
+  }
+
+  // Every search word has to appear somewhere in the preset's text
+  function presetMatchesSearch(preset, words) {
+    const text = [preset.label, preset.description, preset.category, preset.region, ...(preset.groups || [])]
+      .join(' ').toLowerCase();
+    return words.every(w => text.includes(w));
+  }
+
+  function presetCategorySection(title) {
+    const section = document.createElement('div');
+    section.className = 'preset-category';
+    const heading = document.createElement('div');
+    heading.className = 'preset-category-title';
+    heading.textContent = title;
+    const list = document.createElement('div');
+    list.className = 'preset-buttons';
+    section.append(heading, list);
+    presetButtons.appendChild(section);
+    return list;
+  }
+
+  // Build the preset catalog from PRESETS (by category) and saved custom presets
+  function renderPresetButtons() {
     if (!presetButtons) return;
     presetButtons.innerHTML = '';
-    PRESETS.forEach(p => {
-      const btn = document.createElement('button');
-      btn.type = 'button';
-      btn.id = `preset-${p.key}`;
-      btn.textContent = p.label;
-      btn.addEventListener('click', () => {
-        const cfg = gatherConfigFromInputs();
-        try {
-          const u = new URL(window.location.href);
-          const ps = new URLSearchParams(u.search);
-          ps.set('preset', p.key);
-          ps.delete('geojson');
-          ps.delete('relationId'); ps.delete('relationid'); ps.delete('rel');
-          const newSearch = ps.toString();
-          const newUrl = u.pathname + (newSearch ? `?${newSearch}` : '') + u.hash;
-          window.history.replaceState(null, '', newUrl);
-        } catch (e) {
-          console.warn('Unable to update URL for preset share', e);
-        }
-        // Clear labels immediately when switching presets
-        clearLabels();
-        loadGeojsonFromUrlAndStartGame(cfg, p.path);
+    const words = presetSearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const lists = new Map();
+    PRESETS.filter(p => presetMatchesSearch(p, words)).forEach(p => {
+      if (!lists.has(p.category)) lists.set(p.category, presetCategorySection(p.category));
+      const card = presetCard(p);
+      if (!p.groups.length) {
+        lists.get(p.category).appendChild(card);
+        return;
+      }
+      // Buttons can't nest, so the group chips sit in a row under the card
+      const wrap = document.createElement('div');
+      wrap.className = 'preset-card-groups';
+      const chips = document.createElement('div');
+      chips.className = 'preset-group-chips';
+      p.groups.forEach(g => chips.appendChild(presetButton(p, `› ${g}`, g)));
+      wrap.append(card, chips);
+      lists.get(p.category).appendChild(wrap);
+    });
+    const custom = loadCustomPresets().filter(p => presetMatchesSearch(p, words));
+    const customList = custom.length ? presetCategorySection('Your presets') : null;
+    custom.forEach(p => {
+      const row = document.createElement('span');
+      row.className = 'custom-preset';
+      row.appendChild(presetButton(p, p.label));
+      (p.groups || []).forEach(g => row.appendChild(presetButton(p, `› ${g}`, g)));
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'preset-delete';
+      del.textContent = '×';
+      del.title = `Delete “${p.label}”`;
+      del.addEventListener('click', () => {
+        if (!window.confirm(`Delete the saved preset “${p.label}”?`)) return;
+        deleteCustomPreset(p.key);
+        renderPresetButtons();
       });
-      presetButtons.appendChild(btn);
+      row.appendChild(del);
+      customList.appendChild(row);
     });
-  })();
+    if (!presetButtons.children.length) {
+      const empty = document.createElement('div');
+      empty.className = 'help';
+      empty.textContent = words.length ? 'No presets match your search.' : 'Loading presets…';
+      presetButtons.appendChild(empty);
+    }
+  }
+  renderPresetButtons();
+  presetSearch.addEventListener('input', renderPresetButtons);
+  const presetsReady = addPresetPacks([BUILTIN_PRESETS_URL, ...new URLSearchParams(window.location.search).getAll('presets')]);
+
+  if (editBtn) editBtn.addEventListener('click', openEditor);
+  document.getElementById('editor-cancel').addEventListener('click', cancelEditor);
+  document.getElementById('editor-play').addEventListener('click', playEditedMap);
+  document.getElementById('editor-export').addEventListener('click', () => {
+    const name = editorPresetName.value.trim() || defaultPresetName();
+    downloadGeoJSON(editorIncludedFeatures(), `${name.replace(/[^\w.-]+/g, '-')}.geojson`);
+  });
+  document.getElementById('editor-save').addEventListener('click', () => {
+    const label = editorPresetName.value.trim() || defaultPresetName();
+    const features = editorIncludedFeatures();
+    if (!features.length) {
+      editorStatus.textContent = 'Include at least one region before saving.';
+      return;
+    }
+    try {
+      saveCustomPreset(label, features, editorGroupNames(features)); // no chips for groups left out entirely
+      renderPresetButtons();
+      editorStatus.textContent = `Saved “${label}” to your presets.`;
+    } catch (err) {
+      editorStatus.textContent = err.message || String(err);
+    }
+  });
+  editorTool.addEventListener('change', () => {
+    editorActiveGroup.parentElement.hidden = editorTool.value !== 'group';
+  });
+  editorInclude.addEventListener('change', () => {
+    if (!editor.selectedId) return;
+    if (editorInclude.checked) editor.excluded.delete(editor.selectedId);
+    else editor.excluded.add(editor.selectedId);
+    refreshEditorStyles();
+  });
+  [[editorName, 'name'], [editorLabel, LABEL_PROPERTY], [editorGroup, GROUP_PROPERTY]].forEach(([el, key]) => {
+    el.addEventListener('input', () => {
+      const feature = editor.features.find(f => getFeatureId(f, -1) === editor.selectedId);
+      if (!feature) return;
+      setFeatureProperty(feature, key, el.value);
+      if (key === 'name') editorLabel.placeholder = getPromptLabel({ properties: { ...feature.properties, [LABEL_PROPERTY]: '' } }) || 'No label';
+      refreshEditorStyles();
+    });
+  });
 
   // Ensure a map is visible behind the configuration panel on first load
   ensureMapInitialized();
 
+  // Serve the app, libraries and saved tiles when offline
+  if ('serviceWorker' in navigator && window.isSecureContext) {
+    navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed', err));
+  }
+
   // Prefill from localStorage if available
   const last = loadConfigFromLocalStorage();
   if (last) setInputsFromConfig(last);
+  renderResumeOffer();
+  updateAreaInputs();
+  updateQueryPreview();
 
   // Auto-start from URL params when present.
   // Supported params:
-  // - preset=mit            -> loads `preset-maps/mit.geojson`
-  // - geojson=<url-or-path> -> loads given GeoJSON URL (CORS applies)
-  // - relationId=<id>       -> runs Overpass query for the relation
-  // Additional optional params: subtypeKey, overpassEndpoint, centerLat, centerLng, zoom
-  (function startFromUrlParams() {
+  // - preset=<key>          -> loads a preset from the catalog (or one saved from the editor)
+  // - presets=<url>         -> adds the preset pack at that manifest URL to the catalog
+  //                            (same format as preset-maps/presets.json); may repeat
+  // - group=<name>          -> plays only that named subset (or chunk) of the map;
+  //                            groupBy=<key> names the property that holds it
+  // - geojson=<url-or-path> -> loads given map URL (CORS applies); GeoJSON, TopoJSON,
+  //                            KML, GPX, OSM JSON/XML or a zipped Shapefile
+  // - relationId=<id>       -> runs an Overpass query inside the relation
+  // - area=<name>           -> ... inside the named area instead
+  // - bbox=<s,w,n,e>        -> ... inside the bounding box instead
+  // - query=<Overpass QL>   -> runs the raw query as given
+  // - seed=<text>           -> fixed prompt order (challenge links); vs=<result> adds
+  //                            the sender's result for comparison
+  // Additional optional params: lines=1, points=1, cleanup=1 or 0, answerMode, gameMode, scoring,
+  // difficulty (easy, medium, hard, expert),
+  // filters (tag filters, ";" between alternatives, e.g.
+  // "building=university;amenity=library"; subtypeKey is the older single-key form),
+  // overpassEndpoint, centerLat, centerLng, zoom,
+  // promptField (a property key such as "ref", or a template like "{ref} – {name}")
+  (async function startFromUrlParams() {
     try {
       if (!window || !window.location) return;
       const qs = new URLSearchParams(window.location.search);
       const preset = qs.get('preset');
       const geojsonParam = qs.get('geojson');
       const relationIdParam = qs.get('relationId') || qs.get('relationid') || qs.get('rel');
-      const subtypeKeyParam = qs.get('subtypeKey') || qs.get('subtypekey');
+      const areaParam = qs.get('area');
+      const bboxParam = qs.get('bbox');
+      const queryParam = qs.get('query');
+      const filtersParam = qs.get('filters') || qs.get('subtypeKey') || qs.get('subtypekey');
       const overpassEndpointParam = qs.get('overpassEndpoint') || qs.get('overpassendpoint');
       const centerLatParam = qs.get('centerLat') || qs.get('lat');
       const centerLngParam = qs.get('centerLng') || qs.get('lng');
       const zoomParam = qs.get('zoom');
 
-      const presetMap = PRESETS.reduce((acc, p) => { acc[p.key] = p.path; return acc; }, {});
-
+      const groupParam = qs.get('group');
+      const groupByParam = qs.get('groupBy') || qs.get('groupby');
       // Build a cfg object from params + fallbacks
-      const cfg = {};
-      if (subtypeKeyParam) cfg.subtypeKey = subtypeKeyParam;
+      const cfg = gatherGameOptionsFromInputs();
+      const seedParam = qs.get('seed');
+      if (seedParam) {
+        cfg.seed = seedParam;
+        cfg.promptOrder = 'random'; // review and drill orders are personal, so they can't be shared
+        cfg.challenge = parseChallengeResult(qs.get('vs')) || undefined;
+      }
+      if (qs.get('lines')) cfg.includeLines = qs.get('lines') === '1';
+      if (qs.get('points')) cfg.includePoints = qs.get('points') === '1';
+      if (qs.get('cleanup')) cfg.cleanup = qs.get('cleanup') === '0' ? 'off' : 'on';
+      for (const key of ['answerMode', 'gameMode', 'scoring', 'difficulty', 'zoneMode', 'chunking', 'chunkTag']) {
+        if (qs.get(key)) cfg[key] = qs.get(key);
+      }
+      // reflect game options in form inputs
+      input.promptOrder.value = cfg.promptOrder;
+      input.includeLines.checked = cfg.includeLines;
+      input.includePoints.checked = cfg.includePoints;
+      input.cleanup.value = cfg.cleanup;
+      for (const key of ['answerMode', 'gameMode', 'scoring', 'difficulty', 'zoneMode', 'chunking', 'chunkTag']) input[key].value = cfg[key];
+      const promptFieldParam = qs.get('promptField') || qs.get('promptfield');
+      if (promptFieldParam) {
+        cfg.promptField = promptFieldParam;
+        setPromptFieldInput(promptFieldParam);
+      }
+      if (filtersParam) cfg.filters = filtersParam;
       if (overpassEndpointParam) cfg.overpassEndpoint = overpassEndpointParam;
       const lat = parseNumber(centerLatParam);
       const lng = parseNumber(centerLngParam);
       if (lat !== undefined && lng !== undefined) cfg.center = { lat, lng };
       const z = parseNumber(zoomParam);
       if (z !== undefined) cfg.zoom = z;
+      if (groupParam) cfg.group = groupParam;
+      if (groupByParam) cfg.groupProperty = groupByParam;
 
-      // If a preset name is provided and maps to a file, start the preset.
-      if (preset && presetMap[preset]) {
+      // If a preset name is provided and maps to a known preset, start it.
+      if (preset) await presetsReady;
+      const presetEntry = preset ? findPreset(preset) : null;
+      if (presetEntry) {
         // populate inputs for discoverability
-        input.subtypeKey.value = cfg.subtypeKey || DEFAULTS.subtypeKey;
+        input.filters.value = cfg.filters || DEFAULTS.filters;
         input.overpassEndpoint.value = cfg.overpassEndpoint || DEFAULTS.overpassEndpoint;
         if (cfg.center) { input.lat.value = cfg.center.lat; input.lng.value = cfg.center.lng; }
         if (cfg.zoom !== undefined) input.zoom.value = cfg.zoom;
-        // load the preset file
-        const url = presetMap[preset];
         // allow the page to finish wiring up UI before loading
-        setTimeout(() => loadGeojsonFromUrlAndStartGame(cfg, url), 50);
+        setTimeout(() => startPreset(presetEntry, cfg), 50);
         return;
       }
 
       // If a direct geojson URL/path is provided, use it
       if (geojsonParam) {
-        input.subtypeKey.value = cfg.subtypeKey || DEFAULTS.subtypeKey;
+        input.filters.value = cfg.filters || DEFAULTS.filters;
         input.overpassEndpoint.value = cfg.overpassEndpoint || DEFAULTS.overpassEndpoint;
         if (cfg.center) { input.lat.value = cfg.center.lat; input.lng.value = cfg.center.lng; }
         if (cfg.zoom !== undefined) input.zoom.value = cfg.zoom;
         const url = decodeURIComponent(geojsonParam);
-        setTimeout(() => loadGeojsonFromUrlAndStartGame(cfg, url), 50);
+        setTimeout(() => loadMapFromUrlAndStartGame(cfg, url), 50);
         return;
       }
 
-      // If relationId is present, start Overpass flow
-      if (relationIdParam) {
-        const rid = parseNumber(relationIdParam);
-        if (rid !== undefined) {
-          cfg.relationId = rid;
-          if (!cfg.subtypeKey) cfg.subtypeKey = DEFAULTS.subtypeKey;
-          if (!cfg.overpassEndpoint) cfg.overpassEndpoint = DEFAULTS.overpassEndpoint;
-          // reflect in form inputs
-          input.relationId.value = cfg.relationId;
-          input.subtypeKey.value = cfg.subtypeKey;
-          input.overpassEndpoint.value = cfg.overpassEndpoint;
-          if (cfg.center) { input.lat.value = cfg.center.lat; input.lng.value = cfg.center.lng; }
-          if (cfg.zoom !== undefined) input.zoom.value = cfg.zoom;
-          setTimeout(() => loadOverpassAndStartGame(cfg), 50);
-        }
+      // If a search area or raw query is present, start Overpass flow
+      const rid = parseNumber(relationIdParam);
+      if (queryParam) cfg.rawQuery = queryParam;
+      if (bboxParam) { cfg.areaType = 'bbox'; cfg.bbox = parseBbox(bboxParam); }
+      else if (areaParam) { cfg.areaType = 'area'; cfg.areaName = areaParam; }
+      else if (rid !== undefined) { cfg.areaType = 'relation'; cfg.relationId = rid; }
+      if (cfg.rawQuery || cfg.areaType) {
+        if (!cfg.filters) cfg.filters = DEFAULTS.filters;
+        if (!cfg.overpassEndpoint) cfg.overpassEndpoint = DEFAULTS.overpassEndpoint;
+        // reflect in form inputs
+        setInputsFromConfig({ ...gatherConfigFromInputs(), zoom: parseNumber(input.zoom.value), ...cfg });
+        updateQueryPreview();
+        setTimeout(() => loadOverpassAndStartGame(cfg), 50);
       }
     } catch (e) {
       console.warn('Failed to parse URL params for auto-start', e);
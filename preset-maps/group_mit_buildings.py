@@ -184,33 +184,40 @@ def main():
     for n in names_list:
         print(n)
     
-    # Filter and write grouped GeoJSONs
+    # Tag each feature with its campus zone. The app reads "georecall:group"
+    # for subsets and zone games, so one file serves every group.
     groups = {
-        "main": set(main_buildings),
-        "west": set(west_buildings),
-        "east": set(east_buildings),
+        "Main campus": set(main_buildings),
+        "West campus": set(west_buildings),
+        "East campus": set(east_buildings),
     }
 
-    out_dir = geojson_path.parent
-    name_to_features = {}
-
-    # Pre-index features by extracted name
+    counts = {}
     for feat in features:
+        props = feat.setdefault("properties", {})
+        props.pop("georecall:group", None)
         n = extract_name(feat)
-        if not n:
-            continue
-        name_to_features.setdefault(n, []).append(feat)
-
-    for group_name, wanted_names in groups.items():
-        out_features = []
-        for n in wanted_names:
-            out_features.extend(name_to_features.get(n, []))
-
-        out_fc = {"type": "FeatureCollection", "features": out_features}
-        out_path = out_dir / f"mit-{group_name}.geojson"
-        with out_path.open("w", encoding="utf-8") as f:
-            json.dump(out_fc, f, ensure_ascii=False, indent=2)
-        print(f"Wrote {len(out_features)} features to {out_path}")
+        for group_name, wanted_names in groups.items():
+            if n in wanted_names:
+                props["georecall:group"] = group_name
+                counts[group_name] = counts.get(group_name, 0) + 1
+
+    with geojson_path.open("w", encoding="utf-8") as f:
+        json.dump(data, f, ensure_ascii=False, indent=2)
+    for group_name, count in counts.items():
+        print(f"Tagged {count} features as {group_name}")
+    print(f"Wrote {geojson_path}")
+
+    # Keep the catalog's feature counts in sync
+    manifest_path = geojson_path.parent / "presets.json"
+    if manifest_path.exists():
+        manifest = json.loads(manifest_path.read_text(encoding="utf-8"))
+        for preset in manifest.get("presets", []):
+            if preset.get("path") == geojson_path.name:
+                group = preset.get("group")
+                preset["featureCount"] = counts.get(group, 0) if group else len(features)
+        manifest_path.write_text(json.dumps(manifest, ensure_ascii=False, indent=2) + "\n", encoding="utf-8")
+        print(f"Updated feature counts in {manifest_path}")
 
 if __name__ == "__main__":
     main()
@@ -0,0 +1,124 @@
+// GeoRecall service worker: keeps the app, its CDN libraries and map tiles
+// available offline. Overpass responses are cached by the page itself (POST
+// requests can't go through the Cache API), under OVERPASS_CACHE below.
+const APP_CACHE = 'building-guessr-app-v1';
+const TILE_CACHE = 'building-guessr-tiles-v1'; // tiles saved with "Save offline"; never trimmed
+const BROWSED_TILE_CACHE = 'building-guessr-tiles-browsed-v1'; // tiles seen while playing
+const OVERPASS_CACHE = 'building-guessr-overpass-v1';
+const KNOWN_CACHES = [APP_CACHE, TILE_CACHE, BROWSED_TILE_CACHE, OVERPASS_CACHE]; // keep in sync with main.js
+
+// Browsing alone would grow the tile cache without limit (and eventually get
+// the whole origin evicted, saved progress included), so it keeps the newest ones
+const BROWSED_TILE_LIMIT = 3000;
+
+const APP_SHELL = ['./', 'index.html', 'main.js', 'style.css', 'mapstyle.json', 'preset-maps/presets.json'];
+
+// Versioned library URLs never change, so they're served cache-first
+const LIBRARY_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net'];
+const TILE_HOSTS = ['tiles.openfreemap.org', 'tile.openstreetmap.org'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(k => k.startsWith('building-guessr-') && !KNOWN_CACHES.includes(k))
+          .map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+function matchesHost(url, hosts) {
+  return hosts.some(h => url.hostname === h || url.hostname.endsWith(`.${h}`));
+}
+
+// Opaque responses (no-CORS <script> tags) can't be inspected but are still worth keeping
+function isCacheable(resp) {
+  return resp && (resp.ok || resp.type === 'opaque');
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const resp = await fetch(request);
+  if (isCacheable(resp)) cache.put(request, resp.clone()).catch(() => { /* ignore */ });
+  return resp;
+}
+
+// Cache keys come back in insertion order, so the oldest go first
+async function trimCache(cacheName, limit) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+let browsedPuts = 0;
+const TRIM_EVERY = 50; // puts between trims (listing thousands of keys isn't free)
+
+function rememberBrowsedTile(request, resp) {
+  caches.open(BROWSED_TILE_CACHE)
+    .then(cache => cache.put(request, resp))
+    .then(() => {
+      browsedPuts += 1;
+      if (browsedPuts % TRIM_EVERY === 0) return trimCache(BROWSED_TILE_CACHE, BROWSED_TILE_LIMIT);
+      return undefined;
+    })
+    .catch(() => { /* ignore */ });
+}
+
+// Tiles saved offline, then recently browsed ones. Immutable URLs are served
+// from either cache; TileJSON goes to the network first.
+async function tileRequest(request, isImmutable) {
+  const cached = await caches.match(request, { cacheName: TILE_CACHE }) ||
+    await caches.match(request, { cacheName: BROWSED_TILE_CACHE });
+  if (cached && isImmutable) return cached;
+  try {
+    const resp = await fetch(request);
+    if (isCacheable(resp)) rememberBrowsedTile(request, resp.clone());
+    return resp;
+  } catch (err) {
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const resp = await fetch(request);
+    if (isCacheable(resp)) cache.put(request, resp.clone()).catch(() => { /* ignore */ });
+    return resp;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // App files and preset maps: prefer fresh copies, fall back offline
+    event.respondWith(networkFirst(request, APP_CACHE));
+  } else if (matchesHost(url, LIBRARY_HOSTS)) {
+    event.respondWith(cacheFirst(request, APP_CACHE));
+  } else if (matchesHost(url, TILE_HOSTS)) {
+    // Tiles, glyphs and sprites have file extensions and versioned paths;
+    // TileJSON endpoints (no extension) point at the current tile version.
+    const isImmutable = /\.[a-z0-9]+$/i.test(url.pathname);
+    event.respondWith(tileRequest(request, isImmutable));
+  }
+});